@@ -10,8 +10,11 @@
 // @require      https://raw.githubusercontent.com/ptrgiang/gemini-automator/main/watermark-data.js
 // @match        https://gemini.google.com/*
 // @connect      googleusercontent.com
+// @connect      raw.githubusercontent.com
+// @connect      gist.githubusercontent.com
 // @grant        GM_xmlhttpRequest
 // @grant        GM_addStyle
+// @grant        GM_download
 // @grant        unsafeWindow
 // @run-at       document-end
 // ==/UserScript==
@@ -25,11 +28,33 @@
 
   // Watermark data loaded from external file via @require
   // Access via window.WATERMARK_DATA.BG_48_BASE64 and window.WATERMARK_DATA.BG_96_BASE64
+  // Other logo sizes are resampled from whichever capture is closest
 
   // Watermark removal constants
   const ALPHA_THRESHOLD = 0.002;
   const MAX_ALPHA = 0.99;
   const LOGO_VALUE = 255;
+  // Below this correlation the corner is treated as clean and left untouched
+  const WATERMARK_MIN_SCORE = 0.35;
+  // At the standard position this is unambiguous, so the offset search is skipped
+  const WATERMARK_SURE_SCORE = 0.9;
+  // Hundreds of searched offsets and sizes give corner content many chances to
+  // line up by accident, so a match off the standard position must score this
+  const WATERMARK_SEARCH_MIN_SCORE = 0.8;
+  const CAPTURED_LOGO_SIZES = [48, 96];
+  // Native outputs put a 48px logo on a 1024-1408px long side (96px on twice that),
+  // and resized copies keep the ratio
+  const LOGO_RATIO_RANGE = [48 / 1408, 48 / 1024];
+  const LOGO_SIZE_STEP = 1.08;
+  const LOGO_SIZE_REFINE = 3;
+  const MIN_LOGO_SIZE = 12;
+  // Reverse-blend results (or saturated inputs) this close to the 0-255 limits can't be trusted
+  const CLIP_TOLERANCE = 2;
+  // Below this the logo barely lifts the pixel, so a saturated input still inverts fine
+  const SATURATION_MIN_ALPHA = 0.1;
+  const INPAINT_RADIUS = 2;
+  // Colour distance at which a neighbour's weight drops to ~60%
+  const INPAINT_RANGE_SIGMA = 24;
 
   /**
    * Calculate alpha map from background capture image
@@ -49,25 +74,235 @@
   }
 
   /**
-   * Remove watermark using alpha map
+   * Remove watermark using alpha map. Returns a mask (over the logo region)
+   * of pixels the reverse blend couldn't recover: saturated input (how much of
+   * it was logo is lost), clipped output or clamped alpha.
    */
   function removeWatermark(imageData, alphaMap, position) {
     const { x, y, width, height } = position;
+    const unreliable = new Uint8Array(width * height);
     for (let row = 0; row < height; row++) {
       for (let col = 0; col < width; col++) {
         const imgIdx = ((y + row) * imageData.width + (x + col)) * 4;
         const alphaIdx = row * width + col;
         let alpha = alphaMap[alphaIdx];
         if (alpha < ALPHA_THRESHOLD) continue;
+        if (alpha > MAX_ALPHA) unreliable[alphaIdx] = 1;
         alpha = Math.min(alpha, MAX_ALPHA);
         const oneMinusAlpha = 1 - alpha;
         for (let c = 0; c < 3; c++) {
           const watermarked = imageData.data[imgIdx + c];
           const original = (watermarked - alpha * LOGO_VALUE) / oneMinusAlpha;
+          if (original < -CLIP_TOLERANCE || original > 255 + CLIP_TOLERANCE) unreliable[alphaIdx] = 1;
+          if (watermarked >= 255 - CLIP_TOLERANCE && alpha >= SATURATION_MIN_ALPHA) unreliable[alphaIdx] = 1;
           imageData.data[imgIdx + c] = Math.max(0, Math.min(255, Math.round(original)));
         }
       }
     }
+    return unreliable;
+  }
+
+  /**
+   * Grow a mask by one pixel, staying on the logo, so the noisy ring around
+   * clipped pixels is refilled with them
+   */
+  function growMask(mask, alphaMap, width, height) {
+    const grown = Uint8Array.from(mask);
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < width; col++) {
+        const i = row * width + col;
+        if (mask[i] || alphaMap[i] < ALPHA_THRESHOLD) continue;
+        const touches =
+          (col > 0 && mask[i - 1]) || (col < width - 1 && mask[i + 1]) ||
+          (row > 0 && mask[i - width]) || (row < height - 1 && mask[i + width]);
+        if (touches) grown[i] = 1;
+      }
+    }
+    return grown;
+  }
+
+  /**
+   * Fill masked pixels from their surroundings, outside in. Each pass fills the
+   * pixels that have known neighbours with a weighted mean of them; neighbours
+   * far in colour from the pixel's own (clipped) reverse-blend estimate count
+   * less, so fills follow edges instead of smearing across them.
+   * Returns the number of pixels filled.
+   */
+  function inpaintRegion(imageData, mask, position) {
+    const { x, y, width, height } = position;
+    const { data } = imageData;
+    const pending = Uint8Array.from(mask);
+    const guide = new Float32Array(width * height * 3);
+    let remaining = 0;
+    for (let i = 0; i < pending.length; i++) {
+      const imgIdx = ((y + Math.floor(i / width)) * imageData.width + x + (i % width)) * 4;
+      guide[i * 3] = data[imgIdx];
+      guide[i * 3 + 1] = data[imgIdx + 1];
+      guide[i * 3 + 2] = data[imgIdx + 2];
+      remaining += pending[i];
+    }
+
+    const total = remaining;
+    const spatialSigma2 = 2 * INPAINT_RADIUS * INPAINT_RADIUS;
+    const rangeSigma2 = 2 * INPAINT_RANGE_SIGMA * INPAINT_RANGE_SIGMA;
+    while (remaining > 0) {
+      const filled = [];
+      const fallback = [];
+      for (let i = 0; i < pending.length; i++) {
+        if (!pending[i]) continue;
+        const row = Math.floor(i / width);
+        const col = i % width;
+        let weightSum = 0, spatialSum = 0;
+        const sum = [0, 0, 0];
+        const spatialOnly = [0, 0, 0];
+        for (let dy = -INPAINT_RADIUS; dy <= INPAINT_RADIUS; dy++) {
+          for (let dx = -INPAINT_RADIUS; dx <= INPAINT_RADIUS; dx++) {
+            const imgX = x + col + dx;
+            const imgY = y + row + dy;
+            if (imgX < 0 || imgY < 0 || imgX >= imageData.width || imgY >= imageData.height) continue;
+            const localRow = row + dy;
+            const localCol = col + dx;
+            const inRegion = localRow >= 0 && localRow < height && localCol >= 0 && localCol < width;
+            if (inRegion && pending[localRow * width + localCol]) continue;
+            const imgIdx = (imgY * imageData.width + imgX) * 4;
+            let distance2 = 0;
+            for (let c = 0; c < 3; c++) distance2 += (data[imgIdx + c] - guide[i * 3 + c]) ** 2;
+            const spatial = Math.exp(-(dx * dx + dy * dy) / spatialSigma2);
+            const weight = spatial * Math.exp(-(distance2 / 3) / rangeSigma2);
+            weightSum += weight;
+            spatialSum += spatial;
+            for (let c = 0; c < 3; c++) {
+              sum[c] += weight * data[imgIdx + c];
+              spatialOnly[c] += spatial * data[imgIdx + c];
+            }
+          }
+        }
+        if (weightSum > 1e-6) filled.push({ i, value: sum.map(v => v / weightSum) });
+        else if (spatialSum > 0) fallback.push({ i, value: spatialOnly.map(v => v / spatialSum) });
+      }
+      // Known neighbours that all differ from the guide (across an edge) only
+      // decide a pixel once no similar neighbour can be reached any more
+      const pass = filled.length > 0 ? filled : fallback;
+      if (pass.length === 0) break;
+      // Write after the pass so a pass only reads pixels known before it
+      pass.forEach(({ i, value }) => {
+        const imgIdx = ((y + Math.floor(i / width)) * imageData.width + x + (i % width)) * 4;
+        for (let c = 0; c < 3; c++) data[imgIdx + c] = Math.round(value[c]);
+        pending[i] = 0;
+      });
+      remaining -= pass.length;
+    }
+    return total - remaining;
+  }
+
+  /**
+   * Correlation (-1 to 1) between the region's brightness lift and the alpha
+   * map. A blended white logo lifts each pixel by alpha * (255 - background),
+   * so the lift above a plane fitted to the logo-free pixels follows alpha
+   * when the watermark is there, and runs against it once a logo-shaped dip
+   * has been carved into the region.
+   */
+  function correlateWithAlpha(imageData, alphaMap, position) {
+    const { x, y, width, height } = position;
+    if (x < 0 || y < 0 || x + width > imageData.width || y + height > imageData.height) return 0;
+    const count = width * height;
+    const luma = new Float32Array(count);
+
+    // Least-squares plane over background pixels so gradients don't count as lift
+    let n = 0, sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0, sl = 0, sxl = 0, syl = 0;
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < width; col++) {
+        const i = row * width + col;
+        const imgIdx = ((y + row) * imageData.width + (x + col)) * 4;
+        const { data } = imageData;
+        luma[i] = 0.299 * data[imgIdx] + 0.587 * data[imgIdx + 1] + 0.114 * data[imgIdx + 2];
+        if (alphaMap[i] >= ALPHA_THRESHOLD) continue;
+        n++;
+        sx += col; sy += row; sxx += col * col; syy += row * row; sxy += col * row;
+        sl += luma[i]; sxl += col * luma[i]; syl += row * luma[i];
+      }
+    }
+    let plane = { dx: 0, dy: 0, c: n ? sl / n : 0 };
+    const det = sxx * (syy * n - sy * sy) - sxy * (sxy * n - sy * sx) + sx * (sxy * sy - syy * sx);
+    if (n >= 3 && Math.abs(det) > 1e-6) {
+      plane = {
+        dx: (sxl * (syy * n - sy * sy) - sxy * (syl * n - sy * sl) + sx * (syl * sy - syy * sl)) / det,
+        dy: (sxx * (syl * n - sl * sy) - sxl * (sxy * n - sy * sx) + sx * (sxy * sl - syl * sx)) / det,
+        c: (sxx * (syy * sl - sy * syl) - sxy * (sxy * sl - sx * syl) + sxl * (sxy * sy - syy * sx)) / det
+      };
+    }
+
+    // Pearson correlation between alpha and lift
+    let sa = 0, sb = 0, saa = 0, sbb = 0, sab = 0;
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < width; col++) {
+        const i = row * width + col;
+        const alpha = alphaMap[i];
+        const lift = luma[i] - (plane.dx * col + plane.dy * row + plane.c);
+        sa += alpha; sb += lift; saa += alpha * alpha; sbb += lift * lift; sab += alpha * lift;
+      }
+    }
+    const varAlpha = saa - sa * sa / count;
+    const varLift = sbb - sb * sb / count;
+    if (varAlpha <= 0 || varLift <= 0) return 0;
+    return (sab - sa * sb / count) / Math.sqrt(varAlpha * varLift);
+  }
+
+  /**
+   * Score how well the region matches the watermark (0-1)
+   */
+  const scoreWatermark = (imageData, alphaMap, position) =>
+    Math.max(0, correlateWithAlpha(imageData, alphaMap, position));
+
+  const lanczos3 = (x) => {
+    if (x === 0) return 1;
+    if (Math.abs(x) >= 3) return 0;
+    const px = Math.PI * x;
+    return 3 * Math.sin(px) * Math.sin(px / 3) / (px * px);
+  };
+
+  /**
+   * Resample a square alpha map to another size with a separable Lanczos-3
+   * filter, widened when shrinking so it averages instead of aliasing
+   */
+  function resampleAlphaMap(alphaMap, fromSize, toSize) {
+    const scale = toSize / fromSize;
+    const support = 3 * Math.max(1, 1 / scale);
+    const taps = [];
+    for (let i = 0; i < toSize; i++) {
+      const center = (i + 0.5) / scale - 0.5;
+      const start = Math.max(0, Math.ceil(center - support));
+      const end = Math.min(fromSize - 1, Math.floor(center + support));
+      const weights = [];
+      let sum = 0;
+      for (let j = start; j <= end; j++) {
+        const weight = lanczos3((j - center) * Math.min(1, scale));
+        weights.push(weight);
+        sum += weight;
+      }
+      taps.push({ start, weights: weights.map(weight => weight / sum) });
+    }
+
+    // Rows first (fromSize rows x toSize columns), then columns
+    const rows = new Float32Array(fromSize * toSize);
+    for (let row = 0; row < fromSize; row++) {
+      for (let col = 0; col < toSize; col++) {
+        const { start, weights } = taps[col];
+        let value = 0;
+        for (let k = 0; k < weights.length; k++) value += weights[k] * alphaMap[row * fromSize + start + k];
+        rows[row * toSize + col] = value;
+      }
+    }
+    const resampled = new Float32Array(toSize * toSize);
+    for (let row = 0; row < toSize; row++) {
+      const { start, weights } = taps[row];
+      for (let col = 0; col < toSize; col++) {
+        let value = 0;
+        for (let k = 0; k < weights.length; k++) value += weights[k] * rows[(start + k) * toSize + col];
+        resampled[row * toSize + col] = Math.max(0, Math.min(1, value));
+      }
+    }
+    return resampled;
   }
 
   /**
@@ -93,6 +328,64 @@
     };
   }
 
+  /**
+   * Nominal config for any logo size (margins are two thirds of the logo)
+   */
+  const configForLogoSize = (logoSize) => {
+    const margin = Math.round(logoSize * 2 / 3);
+    return { logoSize, marginRight: margin, marginBottom: margin };
+  };
+
+  /**
+   * Logo sizes worth trying for an image, the size-based guess first
+   */
+  function watermarkCandidates(imageWidth, imageHeight) {
+    const expected = detectWatermarkConfig(imageWidth, imageHeight);
+    // Resized or cropped downloads can carry either variant regardless of size
+    const sizes = [expected.logoSize, ...CAPTURED_LOGO_SIZES.filter(size => size !== expected.logoSize)];
+
+    // Sizes a uniformly resized image could carry, a few percent apart
+    const longSide = Math.max(imageWidth, imageHeight);
+    const [minRatio, maxRatio] = LOGO_RATIO_RANGE;
+    for (let size = longSide * minRatio; size < longSide * maxRatio * LOGO_SIZE_STEP; size *= LOGO_SIZE_STEP) {
+      const rounded = Math.round(Math.min(size, longSide * maxRatio));
+      if (rounded < MIN_LOGO_SIZE || sizes.some(existing => Math.abs(existing - rounded) <= 2)) continue;
+      sizes.push(rounded);
+    }
+
+    return sizes.map(configForLogoSize).filter(config =>
+      imageWidth >= config.logoSize + config.marginRight && imageHeight >= config.logoSize + config.marginBottom
+    );
+  }
+
+  /**
+   * Find the best-scoring offset around an expected position: a coarse grid
+   * over the window, then a one-pixel refinement around the best cell
+   */
+  function searchWatermarkPosition(
+    imageData,
+    alphaMap,
+    expected,
+    radius = Math.round(expected.width / 3),
+    step = Math.max(1, Math.round(expected.width / 24))
+  ) {
+    const at = (dx, dy) => ({ ...expected, x: expected.x + dx, y: expected.y + dy });
+
+    let best = { dx: 0, dy: 0, score: scoreWatermark(imageData, alphaMap, expected) };
+    const consider = (dx, dy) => {
+      const score = scoreWatermark(imageData, alphaMap, at(dx, dy));
+      if (score > best.score) best = { dx, dy, score };
+    };
+    for (let dy = -radius; dy <= radius; dy += step) {
+      for (let dx = -radius; dx <= radius; dx += step) consider(dx, dy);
+    }
+    const center = { ...best };
+    for (let dy = center.dy - step + 1; dy < center.dy + step; dy++) {
+      for (let dx = center.dx - step + 1; dx < center.dx + step; dx++) consider(dx, dy);
+    }
+    return { position: at(best.dx, best.dy), score: best.score };
+  }
+
   /**
    * Watermark Engine
    */
@@ -125,8 +418,19 @@
       return new WatermarkEngine({ bg48, bg96 });
     }
 
+    /**
+     * Alpha map for any logo size, cached by size. Sizes without a capture are
+     * resampled from the smallest capture at least as large (shrinking keeps
+     * more detail than enlarging), or the largest one.
+     */
     async getAlphaMap(size) {
       if (this.alphaMaps[size]) return this.alphaMaps[size];
+      if (!CAPTURED_LOGO_SIZES.includes(size)) {
+        const source = CAPTURED_LOGO_SIZES.find(captured => captured >= size) || CAPTURED_LOGO_SIZES[CAPTURED_LOGO_SIZES.length - 1];
+        const alphaMap = resampleAlphaMap(await this.getAlphaMap(source), source, size);
+        this.alphaMaps[size] = alphaMap;
+        return alphaMap;
+      }
       const bgImage = size === 48 ? this.bgCaptures.bg48 : this.bgCaptures.bg96;
       const canvas = document.createElement('canvas');
       canvas.width = size;
@@ -139,19 +443,357 @@
       return alphaMap;
     }
 
-    async removeWatermarkFromImage(image) {
+    /**
+     * Clean an image. With `inpaint`, pixels the reverse blend couldn't
+     * recover are refilled from their surroundings.
+     */
+    async removeWatermarkFromImage(image, options) {
       const canvas = document.createElement('canvas');
       canvas.width = image.width;
       canvas.height = image.height;
       const ctx = canvas.getContext('2d');
       ctx.drawImage(image, 0, 0);
       const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-      const config = detectWatermarkConfig(canvas.width, canvas.height);
-      const position = calculateWatermarkPosition(canvas.width, canvas.height, config);
-      const alphaMap = await this.getAlphaMap(config.logoSize);
-      removeWatermark(imageData, alphaMap, position);
-      ctx.putImageData(imageData, 0, 0);
-      return canvas;
+      const result = await this.cleanImageData(imageData, options);
+      if (result.detected) ctx.putImageData(imageData, 0, 0);
+      return { canvas, ...result };
+    }
+
+    /**
+     * Locate and remove the watermark in place. Canvas-free, so image workers
+     * run it too.
+     */
+    async cleanImageData(imageData, { inpaint = false } = {}) {
+      const { config, position, offset, score } = await this.locateWatermark(imageData);
+      let detected = score >= WATERMARK_MIN_SCORE;
+      let inpainted = 0;
+      // Reverse-blending a clean corner would darken it, so only touch detected logos
+      if (detected) {
+        const alphaMap = await this.getAlphaMap(config.logoSize);
+        const bandStart = position.y * imageData.width * 4;
+        const band = imageData.data.slice(bandStart, (position.y + position.height) * imageData.width * 4);
+        const unreliable = removeWatermark(imageData, alphaMap, position);
+        // A removed logo leaves flat background; a logo-shaped dip means the corner was clean
+        if (correlateWithAlpha(imageData, alphaMap, position) < -WATERMARK_MIN_SCORE) {
+          imageData.data.set(band, bandStart);
+          detected = false;
+        } else if (inpaint) {
+          inpainted = inpaintRegion(imageData, growMask(unreliable, alphaMap, position.width, position.height), position);
+        }
+      }
+      return { config, position, offset, score, detected, inpainted };
+    }
+
+    /**
+     * Pick the logo size and offset that best match the image. The config
+     * returned carries the margins actually found, not the nominal ones, and
+     * the offset is measured from the nominal position for that size.
+     */
+    async locateWatermark(imageData) {
+      const { width, height } = imageData;
+      const candidates = watermarkCandidates(width, height);
+      if (candidates.length === 0) {
+        const config = detectWatermarkConfig(width, height);
+        return { config, position: calculateWatermarkPosition(width, height, config), offset: { x: 0, y: 0 }, score: 0 };
+      }
+
+      const [expected] = candidates;
+      const expectedPosition = calculateWatermarkPosition(width, height, expected);
+      const expectedScore = scoreWatermark(imageData, await this.getAlphaMap(expected.logoSize), expectedPosition);
+      let best = { position: expectedPosition, score: expectedScore };
+
+      if (expectedScore < WATERMARK_SURE_SCORE) {
+        let found = { score: 0 };
+        for (const config of candidates) {
+          const alphaMap = await this.getAlphaMap(config.logoSize);
+          const result = searchWatermarkPosition(imageData, alphaMap, calculateWatermarkPosition(width, height, config));
+          if (result.score > found.score) found = result;
+        }
+        // Clean corners (most images) don't pay for the per-pixel size refinement
+        if (found.score >= WATERMARK_MIN_SCORE) found = await this.refineLogoSize(imageData, found);
+        if (found.score >= WATERMARK_SEARCH_MIN_SCORE && found.score > best.score) best = found;
+      }
+
+      const { position } = best;
+      const nominal = calculateWatermarkPosition(width, height, configForLogoSize(position.width));
+      return {
+        ...best,
+        config: {
+          logoSize: position.width,
+          marginRight: width - position.x - position.width,
+          marginBottom: height - position.y - position.height
+        },
+        offset: { x: position.x - nominal.x, y: position.y - nominal.y }
+      };
+    }
+
+    /**
+     * Try the sizes between the coarse scale steps, keeping the logo centred
+     */
+    async refineLogoSize(imageData, best) {
+      const { x, y, width: size } = best.position;
+      const centerX = x + size / 2;
+      const centerY = y + size / 2;
+      let refined = best;
+      for (let delta = -LOGO_SIZE_REFINE; delta <= LOGO_SIZE_REFINE; delta++) {
+        const candidate = size + delta;
+        if (delta === 0 || candidate < MIN_LOGO_SIZE) continue;
+        const expected = {
+          x: Math.round(centerX - candidate / 2),
+          y: Math.round(centerY - candidate / 2),
+          width: candidate,
+          height: candidate
+        };
+        const found = searchWatermarkPosition(imageData, await this.getAlphaMap(candidate), expected, 2, 1);
+        // Captured maps are exact, so a resampled neighbour has to beat them clearly;
+        // between resampled sizes the best score wins
+        const margin = CAPTURED_LOGO_SIZES.includes(refined.position.width) ? 0.01 : 0;
+        if (found.score > refined.score + margin) refined = found;
+      }
+      return refined;
+    }
+  }
+
+  // ============================================
+  // IMAGE WORKERS
+  // ============================================
+
+  const WORKER_READY_TIMEOUT = 5000;
+  // A 2K image cleans in well under a second, so this only catches a stuck worker
+  const WORKER_TASK_TIMEOUT = 30000;
+  const WORKER_POOL_SIZE = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+
+  /**
+   * Body of each image worker. Never called here: its source is stringified
+   * into the worker next to the engine code.
+   */
+  function imageWorkerMain() {
+    let engine = null;
+    self.onmessage = async ({ data: message }) => {
+      if (message.type === 'init') {
+        // The captured maps arrive ready-made; other sizes are resampled here
+        engine = new WatermarkEngine({});
+        Object.assign(engine.alphaMaps, message.alphaMaps);
+        self.postMessage({ type: 'ready' });
+        return;
+      }
+
+      const { id, bitmap, inpaint } = message;
+      try {
+        const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const result = await engine.cleanImageData(imageData, { inpaint });
+        let blob = null;
+        if (result.detected) {
+          ctx.putImageData(imageData, 0, 0);
+          blob = await canvas.convertToBlob({ type: 'image/png' });
+        }
+        self.postMessage({ type: 'done', id, blob, result });
+      } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+      }
+    };
+  }
+
+  /**
+   * Worker script: the engine's constants, pure functions and class, plus the
+   * message loop. Anything the engine calls has to be listed here.
+   */
+  function buildWorkerSource() {
+    const constants = {
+      ALPHA_THRESHOLD, MAX_ALPHA, LOGO_VALUE, WATERMARK_MIN_SCORE, WATERMARK_SURE_SCORE, WATERMARK_SEARCH_MIN_SCORE,
+      CAPTURED_LOGO_SIZES, LOGO_RATIO_RANGE, LOGO_SIZE_STEP, LOGO_SIZE_REFINE, MIN_LOGO_SIZE,
+      CLIP_TOLERANCE, SATURATION_MIN_ALPHA, INPAINT_RADIUS, INPAINT_RANGE_SIGMA
+    };
+    const helpers = { lanczos3, configForLogoSize, scoreWatermark };
+    const functions = [
+      removeWatermark, growMask, inpaintRegion, correlateWithAlpha, resampleAlphaMap,
+      detectWatermarkConfig, calculateWatermarkPosition, watermarkCandidates, searchWatermarkPosition
+    ];
+    return [
+      `'use strict';`,
+      ...Object.entries(constants).map(([name, value]) => `const ${name} = ${JSON.stringify(value)};`),
+      ...Object.entries(helpers).map(([name, fn]) => `const ${name} = ${fn};`),
+      ...functions.map(fn => fn.toString()),
+      WatermarkEngine.toString(),
+      `(${imageWorkerMain})();`
+    ].join('\n\n');
+  }
+
+  /**
+   * Start one worker and wait for it to acknowledge the alpha maps. Rejects if
+   * the page blocks blob workers (CSP, Trusted Types) or the script fails.
+   */
+  function startImageWorker(url, alphaMaps) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(url);
+      const fail = (error) => {
+        clearTimeout(timer);
+        worker.terminate();
+        reject(error);
+      };
+      const timer = setTimeout(() => fail(new Error('Image worker did not start')), WORKER_READY_TIMEOUT);
+      worker.onerror = (event) => fail(new Error(event.message || 'Image worker failed to load'));
+      worker.onmessage = ({ data }) => {
+        if (data.type !== 'ready') return;
+        clearTimeout(timer);
+        resolve(worker);
+      };
+      // Each worker gets its own copies; the buffers move instead of being cloned
+      const maps = Object.fromEntries(Object.entries(alphaMaps).map(([size, map]) => [size, map.slice()]));
+      worker.postMessage({ type: 'init', alphaMaps: maps }, Object.values(maps).map(map => map.buffer));
+    });
+  }
+
+  /**
+   * Raised when the pool has no worker left to take an image, the one case
+   * where the main thread should do the work instead
+   */
+  class WorkerUnavailableError extends Error {
+    constructor() {
+      super('No image workers left');
+      this.name = 'WorkerUnavailableError';
+    }
+  }
+
+  /**
+   * Fixed set of image workers fed from a queue, so at most one image per
+   * worker is decoded and processed at a time
+   */
+  class ImageWorkerPool {
+    constructor(workers, url, alphaMaps) {
+      // Kept to start replacements for workers that fail or hang
+      this.url = url;
+      this.alphaMaps = alphaMaps;
+      this.workers = workers;
+      this.idle = [...workers];
+      this.queue = [];
+      this.tasks = new Map();
+      this.nextId = 1;
+      this.starting = 0;
+      workers.forEach(worker => this.attach(worker));
+    }
+
+    static async create(engine) {
+      if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') {
+        return null;
+      }
+      const alphaMaps = {};
+      for (const size of CAPTURED_LOGO_SIZES) alphaMaps[size] = await engine.getAlphaMap(size);
+
+      const url = URL.createObjectURL(new Blob([buildWorkerSource()], { type: 'text/javascript' }));
+      const workers = [];
+      try {
+        for (let i = 0; i < WORKER_POOL_SIZE; i++) workers.push(await startImageWorker(url, alphaMaps));
+      } catch (error) {
+        workers.forEach(worker => worker.terminate());
+        URL.revokeObjectURL(url);
+        console.warn('[Gemini Automator] Image workers unavailable, processing on the main thread:', error);
+        return null;
+      }
+      return new ImageWorkerPool(workers, url, alphaMaps);
+    }
+
+    get size() {
+      return this.workers.length;
+    }
+
+    /**
+     * Clean a blob in the next free worker. Resolves to the engine result plus
+     * `blob` (the cleaned PNG, or null when no watermark was detected).
+     */
+    process(blob, options) {
+      return new Promise((resolve, reject) => {
+        if (this.workers.length === 0 && this.starting === 0) {
+          reject(new WorkerUnavailableError());
+          return;
+        }
+        this.queue.push({ blob, options, resolve, reject });
+        this.dispatch();
+      });
+    }
+
+    attach(worker) {
+      worker.onmessage = ({ data }) => this.handleMessage(worker, data);
+      worker.onerror = (event) => {
+        event.preventDefault();
+        this.failWorker(worker, new Error(event.message || 'Image worker error'));
+      };
+    }
+
+    dispatch() {
+      while (this.idle.length > 0 && this.queue.length > 0) {
+        this.run(this.idle.pop(), this.queue.shift());
+      }
+    }
+
+    async run(worker, task) {
+      const id = this.nextId++;
+      try {
+        // Decoded only once a worker is free, so queued images stay compressed
+        const bitmap = await createImageBitmap(task.blob);
+        const timer = setTimeout(() => this.failWorker(worker, new Error('Image worker timed out')), WORKER_TASK_TIMEOUT);
+        this.tasks.set(id, { ...task, worker, timer });
+        worker.postMessage({ type: 'clean', id, bitmap, inpaint: task.options.inpaint }, [bitmap]);
+      } catch (error) {
+        task.reject(error);
+        this.release(worker);
+      }
+    }
+
+    handleMessage(worker, message) {
+      const task = this.tasks.get(message.id);
+      if (!task) return;
+      clearTimeout(task.timer);
+      this.tasks.delete(message.id);
+      if (message.type === 'done') task.resolve({ ...message.result, blob: message.blob });
+      else task.reject(new Error(message.message));
+      this.release(worker);
+    }
+
+    /**
+     * Reject the worker's task, which sends it to the main-thread fallback,
+     * and swap the worker for a fresh one: a hung or crashed worker can't be
+     * trusted with the next image
+     */
+    failWorker(worker, error) {
+      if (!this.workers.includes(worker)) return;
+      for (const [id, task] of this.tasks) {
+        if (task.worker !== worker) continue;
+        clearTimeout(task.timer);
+        this.tasks.delete(id);
+        task.reject(error);
+      }
+      worker.terminate();
+      this.workers = this.workers.filter(other => other !== worker);
+      this.idle = this.idle.filter(other => other !== worker);
+      this.replaceWorker();
+    }
+
+    async replaceWorker() {
+      this.starting++;
+      try {
+        const worker = await startImageWorker(this.url, this.alphaMaps);
+        this.attach(worker);
+        this.workers.push(worker);
+        this.release(worker);
+      } catch (error) {
+        console.warn('[Gemini Automator] Could not replace an image worker:', error);
+      } finally {
+        this.starting--;
+      }
+      // With no worker left to take them, queued images go to the main thread
+      if (this.workers.length === 0 && this.starting === 0) {
+        this.queue.splice(0).forEach(task => task.reject(new WorkerUnavailableError()));
+      }
+    }
+
+    release(worker) {
+      if (!this.idle.includes(worker)) this.idle.push(worker);
+      this.dispatch();
     }
   }
 
@@ -189,152 +831,655 @@
     });
   });
 
+  const fetchText = (url, timeout = 10000) => new Promise((resolve, reject) => {
+    GM_xmlhttpRequest({
+      method: 'GET',
+      url,
+      timeout,
+      onload: (response) => response.status >= 200 && response.status < 300
+        ? resolve(response.responseText)
+        : reject(new Error(`HTTP ${response.status}`)),
+      onerror: () => reject(new Error(`Could not fetch ${url}`)),
+      ontimeout: () => reject(new Error(`Timed out fetching ${url}`))
+    });
+  });
+
   const replaceWithNormalSize = (src) => src.replace(/=s\d+(?=[-?#]|$)/, '=s0');
 
+  // ============================================
+  // LOCALES
+  // ============================================
+
+  /**
+   * Gemini UI text per language: menu labels, button labels and
+   * response messages that mean no image is coming
+   */
+  const LOCALES = {
+    en: {
+      createImages: ['create images', 'create image'],
+      proModel: ['pro'],
+      newChat: ['new chat'],
+      download: ['download'],
+      remove: ['remove', 'delete'],
+      limit: [
+        /usage limit/i,
+        /reached your (?:daily )?limit/i,
+        /limit (?:for|on) (?:creating|generating) images/i,
+        /(?:exceeded|reached|used up) (?:your |the )?(?:\w+ )?quota/i,
+        /(?:please )?try again later/i,
+        /too many requests/i
+      ],
+      refusal: [
+        /I can['’]?t (?:create|generate|make|help with)/i,
+        /I['’]?m (?:not able|unable) to (?:create|generate|make)/i,
+        /can['’]?t help (?:with|you with) that/i
+      ]
+    },
+    vi: {
+      createImages: ['tạo hình ảnh'],
+      newChat: ['cuộc trò chuyện mới'],
+      download: ['tải xuống'],
+      remove: ['xóa', 'gỡ'],
+      limit: [/đã đạt (?:đến )?giới hạn/i, /thử lại sau/i],
+      refusal: [/không thể tạo/i]
+    },
+    de: {
+      createImages: ['bilder erstellen', 'bild erstellen'],
+      newChat: ['neuer chat'],
+      download: ['herunterladen'],
+      remove: ['entfernen', 'löschen'],
+      limit: [/nutzungslimit/i, /limit erreicht/i, /später (?:noch einmal|erneut)/i],
+      refusal: [/kann (?:ich )?(?:leider )?(?:keine?s? |dieses |das )?(?:bilde?r? )?nicht (?:erstellen|generieren)/i]
+    },
+    fr: {
+      createImages: ['créer des images', 'créer une image'],
+      newChat: ['nouvelle discussion', 'nouveau chat'],
+      download: ['télécharger'],
+      remove: ['supprimer', 'retirer'],
+      limit: [/limite d['’]utilisation/i, /atteint (?:votre|la) limite/i, /réessa(?:yer|yez) plus tard/i],
+      refusal: [/je ne (?:peux|suis pas en mesure de) (?:pas )?(?:créer|générer)/i]
+    },
+    es: {
+      createImages: ['crear imágenes', 'crear imagen'],
+      newChat: ['nuevo chat', 'conversación nueva'],
+      download: ['descargar'],
+      remove: ['quitar', 'eliminar'],
+      limit: [/límite de uso/i, /(?:has )?alcanzado (?:el|tu) límite/i, /inténtalo (?:de nuevo )?más tarde/i],
+      refusal: [/no puedo (?:crear|generar)/i]
+    },
+    ja: {
+      createImages: ['画像を作成', '画像の作成', '画像を生成'],
+      newChat: ['チャットを新規作成', '新しいチャット'],
+      download: ['ダウンロード'],
+      remove: ['削除'],
+      limit: [/上限に達/, /後でもう一度/, /しばらくしてから/],
+      refusal: [/(?:作成|生成)(?:することは)?できません/]
+    },
+    pt: {
+      createImages: ['criar imagens', 'criar imagem'],
+      newChat: ['nova conversa', 'novo chat'],
+      download: ['fazer download', 'baixar'],
+      remove: ['remover', 'excluir'],
+      limit: [/limite de uso/i, /atingiu (?:o|seu) limite/i, /tente novamente mais tarde/i],
+      refusal: [/não (?:posso|consigo) (?:criar|gerar)/i]
+    }
+  };
+
+  /**
+   * Page language as a LOCALES key (e.g. "pt-BR" -> "pt"), falling back to English
+   */
+  const detectLocale = () => {
+    const lang = (document.documentElement.lang || navigator.language || 'en').toLowerCase().split('-')[0];
+    return LOCALES[lang] ? lang : 'en';
+  };
+
+  /**
+   * Texts for a key in the page language, followed by English
+   * (Gemini leaves some strings untranslated)
+   */
+  const getLocaleTexts = (key) => {
+    const locale = detectLocale();
+    const texts = [...(LOCALES[locale][key] || []), ...(locale === 'en' ? [] : LOCALES.en[key] || [])];
+    return [...new Set(texts)];
+  };
+
+  const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/;
+
+  /**
+   * Whole-word, case-insensitive match that works beyond ASCII
+   * (CJK has no word separators, so a substring match is used)
+   */
+  function containsText(text, searchText) {
+    const haystack = (text || '').toLowerCase();
+    const needle = searchText.toLowerCase();
+    if (CJK_PATTERN.test(needle)) return haystack.includes(needle);
+    const escaped = needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?:^|[^\\p{L}\\p{N}])${escaped}(?:$|[^\\p{L}\\p{N}])`, 'u').test(haystack);
+  }
+
+  const containsAnyText = (text, searchTexts) => searchTexts.some(searchText => containsText(text, searchText));
+
   // ============================================
   // GEMINI AUTOMATION
   // ============================================
 
-  const SELECTORS = {
+  const DEFAULT_SELECTORS = {
     promptTextarea: 'rich-textarea .ql-editor[contenteditable="true"]',
     generateBtn: 'mat-icon[fonticon="send"]',
-    stopBtn: 'mat-icon[fonticon="stop"]'
+    stopBtn: 'mat-icon[fonticon="stop"]',
+    responseTurn: 'model-response',
+    newChatBtn: '[data-test-id="new-chat-button"] a, [data-test-id="new-chat-button"] button',
+    snackBar: 'simple-snack-bar, mat-snack-bar-container',
+    uploadPreview: 'uploader-file-preview, .file-preview-container .file-preview',
+    uploadProgress: 'mat-progress-spinner, mat-spinner, mat-progress-bar, [role="progressbar"]',
+    uploadRemoveBtn: 'button[aria-label*="remove" i], button:has(mat-icon[fonticon="close"]), button[data-test-id*="cancel"]'
   };
 
+  // Live selectors: the defaults with any user overrides applied
+  const SELECTORS = { ...DEFAULT_SELECTORS };
+
   /**
-   * Find tools button
+   * Error raised by the automation steps, classified for the retry policy
    */
-  function findToolsButton() {
-    const strategies = [
-      () => document.querySelector('toolbox-drawer button'),
-      () => Array.from(document.querySelectorAll('button mat-icon')).find(icon =>
-        icon.getAttribute('fonticon')?.includes('apps') ||
-        icon.getAttribute('fonticon')?.includes('tool')
-      )?.closest('button'),
-      () => document.querySelector('input-area-v2 .leading-actions-wrapper button')
-    ];
-    for (const strategy of strategies) {
-      const btn = strategy();
-      if (btn) return btn;
+  class AutomationError extends Error {
+    constructor(type, message) {
+      super(message);
+      this.name = 'AutomationError';
+      this.type = type;
     }
-    return null;
   }
 
+  const ERROR_TYPES = {
+    selector: { label: 'Selector missing', retryable: true },
+    timeout: { label: 'Generate timeout', retryable: true },
+    refusal: { label: 'Refused', retryable: false },
+    limited: { label: 'Usage limit', retryable: true },
+    noImage: { label: 'No image', retryable: true },
+    network: { label: 'Network error', retryable: true },
+    upload: { label: 'Upload failed', retryable: true },
+    reference: { label: 'Missing reference', retryable: false },
+    unknown: { label: 'Error', retryable: true }
+  };
+
   /**
-   * Find model picker button
+   * Classify an error thrown while processing a prompt
    */
-  function findModelPickerButton() {
-    const strategies = [
-      () => document.querySelector('bard-mode-switcher button'),
-      () => document.querySelector('.trailing-actions-wrapper .model-picker-container button'),
-      () => Array.from(document.querySelectorAll('input-area-v2 button mat-icon')).find(icon =>
-        icon.getAttribute('fonticon')?.includes('arrow_drop') ||
-        icon.getAttribute('fonticon')?.includes('expand')
-      )?.closest('button')
-    ];
+  function classifyError(error) {
+    if (error instanceof AutomationError) return error.type;
+    if (!navigator.onLine || /network|fetch/i.test(error?.message || '')) return 'network';
+    return 'unknown';
+  }
+
+  /**
+   * Return the element found by the first strategy that matches
+   */
+  function findFirst(strategies) {
     for (const strategy of strategies) {
-      const btn = strategy();
-      if (btn) return btn;
+      const element = strategy.find();
+      if (element) return element;
     }
     return null;
   }
 
+  const TOOLS_BUTTON_STRATEGIES = [
+    { name: 'toolbox-drawer', find: () => document.querySelector('toolbox-drawer button') },
+    {
+      name: 'apps/tool icon',
+      find: () => Array.from(document.querySelectorAll('button mat-icon')).find(icon =>
+        icon.getAttribute('fonticon')?.includes('apps') ||
+        icon.getAttribute('fonticon')?.includes('tool')
+      )?.closest('button')
+    },
+    { name: 'leading actions', find: () => document.querySelector('input-area-v2 .leading-actions-wrapper button') }
+  ];
+
+  const MODEL_PICKER_STRATEGIES = [
+    { name: 'mode switcher', find: () => document.querySelector('bard-mode-switcher button') },
+    { name: 'model picker container', find: () => document.querySelector('.trailing-actions-wrapper .model-picker-container button') },
+    {
+      name: 'dropdown icon',
+      find: () => Array.from(document.querySelectorAll('input-area-v2 button mat-icon')).find(icon =>
+        icon.getAttribute('fonticon')?.includes('arrow_drop') ||
+        icon.getAttribute('fonticon')?.includes('expand')
+      )?.closest('button')
+    }
+  ];
+
+  /**
+   * Find tools button
+   */
+  const findToolsButton = () => findFirst(withOverride('toolsButton', TOOLS_BUTTON_STRATEGIES));
+
+  /**
+   * Find model picker button
+   */
+  const findModelPickerButton = () => findFirst(withOverride('modelPicker', MODEL_PICKER_STRATEGIES));
+
+  const getOpenDropdowns = () =>
+    [...document.querySelectorAll('[role="menu"], [role="listbox"], .mat-menu-panel')]
+      .filter(dropdown => dropdown.offsetParent !== null);
+
   /**
    * Find button in dropdown by text
    */
-  function findButtonInDropdown(searchText, fallbackIndex = null) {
-    const dropdowns = document.querySelectorAll('[role="menu"], [role="listbox"], .mat-menu-panel');
-    for (const dropdown of dropdowns) {
-      if (dropdown.offsetParent === null) continue;
+  function findButtonInDropdown(searchText) {
+    for (const dropdown of getOpenDropdowns()) {
       const buttons = dropdown.querySelectorAll('button');
       for (const button of buttons) {
-        const buttonText = button.textContent?.trim().toLowerCase();
-        const searchLower = searchText.toLowerCase();
-        const wordBoundaryRegex = new RegExp(`\\b${searchLower}\\b`, 'i');
-        if (wordBoundaryRegex.test(buttonText)) {
+        if (containsText(button.textContent?.trim(), searchText)) {
           return button;
         }
       }
-      if (fallbackIndex !== null && buttons[fallbackIndex]) {
-        return buttons[fallbackIndex];
-      }
     }
     return null;
   }
 
+  const isOptionSelected = (option) =>
+    option.getAttribute('aria-checked') === 'true' || option.classList.contains('is-selected');
+
+  const getOptionLabel = (button) =>
+    (button.innerText || button.textContent || '').trim().split('\n')[0].trim();
+
   /**
-   * Setup Gemini (select tool and model)
+   * Open a dropdown and select the first option matching one of the labels
    */
-  async function setupGemini() {
-    console.log('[Gemini Automator] Setting up Gemini...');
-
-    // Select "Create image" tool
-    const toolsBtn = findToolsButton();
-    if (!toolsBtn) throw new Error('Tools button not found');
-    toolsBtn.click();
+  async function selectDropdownOption(menuButton, labels) {
+    menuButton.click();
     await sleep(800);
 
-    const createImageOption = findButtonInDropdown('create images', 2) ||
-                             findButtonInDropdown('tạo hình ảnh', 2);
-    if (!createImageOption) throw new Error('Create Images option not found');
-
-    const isToolSelected = createImageOption.getAttribute('aria-checked') === 'true' ||
-                          createImageOption.classList.contains('is-selected');
-    if (isToolSelected) {
-      toolsBtn.click();
+    const option = labels.map(label => findButtonInDropdown(label)).find(Boolean);
+    if (!option || isOptionSelected(option)) {
+      menuButton.click();
       await sleep(300);
     } else {
-      createImageOption.click();
+      option.click();
       await sleep(800);
     }
+    return option;
+  }
 
-    // Select Pro model
-    const modelPickerBtn = findModelPickerButton();
-    if (!modelPickerBtn) throw new Error('Model picker not found');
-    modelPickerBtn.click();
+  /**
+   * Deselect whichever tool is active
+   */
+  async function clearSelectedTool(toolsBtn) {
+    toolsBtn.click();
     await sleep(800);
 
-    const proModelOption = findButtonInDropdown('pro', 2);
-    if (!proModelOption) throw new Error('Pro model not found');
-
-    const isModelSelected = proModelOption.getAttribute('aria-checked') === 'true' ||
-                           proModelOption.classList.contains('is-selected');
-    if (isModelSelected) {
-      modelPickerBtn.click();
-      await sleep(300);
-    } else {
-      proModelOption.click();
+    const selected = getOpenDropdowns()
+      .flatMap(dropdown => [...dropdown.querySelectorAll('button')])
+      .find(isOptionSelected);
+    if (selected) {
+      selected.click();
       await sleep(800);
+    } else {
+      toolsBtn.click();
+      await sleep(300);
     }
-
-    console.log('[Gemini Automator] Setup complete');
   }
 
   /**
-   * Fill prompt
+   * Setup Gemini (select the profile's tool and model)
    */
-  async function fillPrompt(prompt) {
-    const textarea = document.querySelector(SELECTORS.promptTextarea);
-    if (!textarea) throw new Error('Prompt textarea not found');
+  async function setupGemini(profile = getSelectedProfile()) {
+    console.log(`[Gemini Automator] Setting up Gemini (${profile.name})...`);
 
-    // Clear existing content safely (Trusted Types compliant)
-    while (textarea.firstChild) {
-      textarea.removeChild(textarea.firstChild);
+    // Select tool (or clear it for "no tool" profiles)
+    const toolsBtn = findToolsButton();
+    if (profile.tool) {
+      if (!toolsBtn) throw new AutomationError('selector', 'Tools button not found');
+      // Built-in profiles name a locale key so they work in every UI language
+      const labels = profile.toolKey ? getLocaleTexts(profile.toolKey) : [profile.tool];
+      const toolOption = await selectDropdownOption(toolsBtn, labels);
+      if (!toolOption) throw new AutomationError('selector', `${profile.tool} option not found`);
+    } else if (toolsBtn) {
+      await clearSelectedTool(toolsBtn);
     }
 
-    textarea.focus();
+    // Select model (left unchanged when the profile doesn't name one)
+    if (profile.model) {
+      const modelPickerBtn = findModelPickerButton();
+      if (!modelPickerBtn) throw new AutomationError('selector', 'Model picker not found');
+      const labels = profile.modelKey ? getLocaleTexts(profile.modelKey) : [profile.model];
+      const modelOption = await selectDropdownOption(modelPickerBtn, labels);
+      if (!modelOption) throw new AutomationError('selector', `${profile.model} model not found`);
+    }
 
-    // Create paragraph element with text node (Trusted Types compliant)
-    const p = document.createElement('p');
-    const textNode = document.createTextNode(prompt);
-    p.appendChild(textNode);
-    textarea.appendChild(p);
+    console.log('[Gemini Automator] Setup complete');
+  }
+
+  // ============================================
+  // SELECTOR OVERRIDES
+  // ============================================
+
+  const SELECTOR_CONFIG_KEY = 'gemini-automator-selectors';
+
+  /**
+   * Lookups the user can override: SELECTORS entries are replaced,
+   * the others are tried before the built-in strategies
+   */
+  const OVERRIDABLE_SELECTORS = {
+    promptTextarea: 'Prompt textarea',
+    generateBtn: 'Send button',
+    stopBtn: 'Stop button',
+    toolsButton: 'Tools button',
+    modelPicker: 'Model picker button',
+    imageContainer: 'Generated image container',
+    responseTurn: 'Response turn',
+    newChatBtn: 'New chat button',
+    snackBar: 'Notification',
+    uploadPreview: 'Attached file preview',
+    uploadProgress: 'Upload progress indicator',
+    uploadRemoveBtn: 'Remove attachment button'
+  };
+
+  let selectorConfig = { selectors: {}, url: '', fetchOnLoad: false };
+
+  function loadSelectorConfig() {
+    try {
+      const config = JSON.parse(localStorage.getItem(SELECTOR_CONFIG_KEY)) || {};
+      return { selectors: config.selectors || {}, url: config.url || '', fetchOnLoad: !!config.fetchOnLoad };
+    } catch (error) {
+      return { selectors: {}, url: '', fetchOnLoad: false };
+    }
+  }
+
+  /**
+   * Make a configuration live without reloading the page
+   */
+  function applySelectorConfig(config) {
+    selectorConfig = config;
+    Object.keys(DEFAULT_SELECTORS).forEach(key => {
+      SELECTORS[key] = config.selectors[key] || DEFAULT_SELECTORS[key];
+    });
+  }
+
+  function saveSelectorConfig(config) {
+    localStorage.setItem(SELECTOR_CONFIG_KEY, JSON.stringify(config));
+    applySelectorConfig(config);
+  }
+
+  /**
+   * Built-in strategies, preceded by the user's selector when one is set
+   */
+  const withOverride = (key, strategies) => selectorConfig.selectors[key]
+    ? [{ name: 'custom selector', find: () => document.querySelector(selectorConfig.selectors[key]) }, ...strategies]
+    : strategies;
+
+  const getImageContainers = () => selectorConfig.selectors.imageContainer
+    ? [selectorConfig.selectors.imageContainer, ...GEMINI_IMAGE_CONTAINERS]
+    : GEMINI_IMAGE_CONTAINERS;
+
+  /**
+   * Read selectors from JSON: a saved configuration or a plain { key: selector } map
+   */
+  function parseSelectorOverrides(data) {
+    const selectors = data?.selectors || data;
+    if (!selectors || typeof selectors !== 'object' || Array.isArray(selectors)) {
+      throw new Error('Expected an object of selectors');
+    }
+    const overrides = {};
+    Object.entries(selectors).forEach(([key, selector]) => {
+      if (!(key in OVERRIDABLE_SELECTORS)) throw new Error(`Unknown selector "${key}"`);
+      if (typeof selector !== 'string') throw new Error(`Selector "${key}" must be a string`);
+      if (selector.trim()) overrides[key] = selector.trim();
+    });
+    return overrides;
+  }
+
+  /**
+   * Check overrides against the live page; invalid syntax is an error,
+   * no match only a warning (some elements come and go)
+   */
+  function validateSelectorOverrides(overrides) {
+    const errors = [];
+    const warnings = [];
+    Object.entries(overrides).forEach(([key, selector]) => {
+      const result = checkSelector(key, selector);
+      if (result.error) errors.push(`${OVERRIDABLE_SELECTORS[key]}: ${result.error}`);
+      else if (!result.matched && !SITUATIONAL_SELECTORS[key]) warnings.push(`${OVERRIDABLE_SELECTORS[key]}: no match on this page`);
+    });
+    return { errors, warnings };
+  }
+
+  /**
+   * Replace the overrides with the configuration published at the user's URL
+   */
+  async function fetchSelectorOverrides(url) {
+    const overrides = parseSelectorOverrides(JSON.parse(await fetchText(url)));
+    const { errors } = validateSelectorOverrides(overrides);
+    if (errors.length) throw new Error(errors.join('; '));
+    return overrides;
+  }
+
+  applySelectorConfig(loadSelectorConfig());
+
+  // ============================================
+  // SETUP PROFILES
+  // ============================================
+
+  const PROFILES_KEY = 'gemini-automator-profiles';
+  const SELECTED_PROFILE_KEY = 'gemini-automator-profile';
+  const SETUP_OPTIONS_KEY = 'gemini-automator-setup-options';
+
+  /**
+   * Built-in profile: "Create images" tool + Pro model
+   */
+  const DEFAULT_PROFILE = {
+    name: 'Create images + Pro',
+    tool: 'create images',
+    toolKey: 'createImages',
+    model: 'pro',
+    modelKey: 'proModel',
+    builtin: true
+  };
+
+  const loadProfiles = () => {
+    try {
+      return JSON.parse(localStorage.getItem(PROFILES_KEY)) || [];
+    } catch (e) {
+      return [];
+    }
+  };
+
+  const getAllProfiles = () => [DEFAULT_PROFILE, ...loadProfiles()];
+
+  const getProfile = (name) => getAllProfiles().find(profile => profile.name === name) || DEFAULT_PROFILE;
+
+  const getSelectedProfile = () =>
+    getProfile(document.getElementById('ga-profile')?.value || localStorage.getItem(SELECTED_PROFILE_KEY));
+
+  function saveProfile(profile) {
+    const profiles = loadProfiles().filter(p => p.name !== profile.name);
+    profiles.push(profile);
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+  }
+
+  function deleteProfile(name) {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(loadProfiles().filter(p => p.name !== name)));
+  }
+
+  const loadSetupOptions = () => {
+    try {
+      return JSON.parse(localStorage.getItem(SETUP_OPTIONS_KEY)) || { tools: [], models: [] };
+    } catch (e) {
+      return { tools: [], models: [] };
+    }
+  };
+
+  /**
+   * Open a dropdown, read its option labels and close it again
+   */
+  async function readDropdownOptions(menuButton) {
+    menuButton.click();
+    await sleep(800);
+    const labels = getOpenDropdowns()
+      .flatMap(dropdown => [...dropdown.querySelectorAll('button')])
+      .map(getOptionLabel)
+      .filter(Boolean);
+    menuButton.click();
+    await sleep(300);
+    return [...new Set(labels)];
+  }
+
+  /**
+   * Read the tools and models offered by the live dropdowns
+   */
+  async function discoverSetupOptions() {
+    const toolsBtn = findToolsButton();
+    const modelPickerBtn = findModelPickerButton();
+    if (!toolsBtn && !modelPickerBtn) {
+      throw new AutomationError('selector', 'Tools button and model picker not found');
+    }
+    const options = {
+      tools: toolsBtn ? await readDropdownOptions(toolsBtn) : [],
+      models: modelPickerBtn ? await readDropdownOptions(modelPickerBtn) : [],
+      discoveredAt: Date.now()
+    };
+    localStorage.setItem(SETUP_OPTIONS_KEY, JSON.stringify(options));
+    console.log('[Gemini Automator] Discovered setup options:', options);
+    return options;
+  }
+
+  const NEW_CHAT_STRATEGIES = [
+    { name: 'SELECTORS.newChatBtn', find: () => document.querySelector(SELECTORS.newChatBtn) },
+    { name: 'app link', find: () => document.querySelector('side-navigation-content a[href="/app"], a[href="/app"]') },
+    {
+      name: 'aria-label',
+      find: () => Array.from(document.querySelectorAll('button[aria-label], a[aria-label]')).find(el =>
+        containsAnyText(el.getAttribute('aria-label'), getLocaleTexts('newChat'))
+      )
+    },
+    {
+      name: 'edit_square icon',
+      find: () => Array.from(document.querySelectorAll('button mat-icon, a mat-icon')).find(icon =>
+        icon.getAttribute('fonticon') === 'edit_square'
+      )?.closest('button, a')
+    }
+  ];
+
+  /**
+   * Find new chat button
+   */
+  const findNewChatButton = () => findFirst(NEW_CHAT_STRATEGIES);
+
+  /**
+   * Open a fresh chat and wait until it is empty and ready for input
+   */
+  async function startNewChat() {
+    const newChatBtn = findNewChatButton();
+    if (!newChatBtn) throw new AutomationError('selector', 'New chat button not found');
+    newChatBtn.click();
+
+    for (let attempts = 0; attempts < 50; attempts++) {
+      await sleep(200);
+      if (!document.querySelector(SELECTORS.responseTurn) && document.querySelector(SELECTORS.promptTextarea)) {
+        await sleep(800);
+        console.log('[Gemini Automator] Started new chat');
+        return;
+      }
+    }
+    throw new AutomationError('timeout', 'New chat did not open');
+  }
+
+  const getUploadPreviews = () => [...document.querySelectorAll(SELECTORS.uploadPreview)];
+
+  /**
+   * A preview's remove control: the configured selector, else a button
+   * labelled "remove" in the page language. Never just the first button,
+   * which can open the file instead.
+   */
+  const findRemoveButton = (preview) =>
+    preview.querySelector(SELECTORS.uploadRemoveBtn) ||
+    [...preview.querySelectorAll('button')].find(button =>
+      containsAnyText(button.getAttribute('aria-label') || '', getLocaleTexts('remove'))
+    );
+
+  /**
+   * Remove files left attached by an earlier, unsent attempt
+   */
+  async function clearAttachments() {
+    const previews = getUploadPreviews();
+    if (previews.length === 0) return;
+    previews.forEach(preview => {
+      const removeBtn = findRemoveButton(preview);
+      if (removeBtn) removeBtn.click();
+      else console.warn('[Gemini Automator] No remove button found on an attached file; set "Remove attachment button" in Edit selectors');
+    });
+    for (let attempts = 0; attempts < 10 && getUploadPreviews().length > 0; attempts++) {
+      await sleep(200);
+    }
+  }
+
+  /**
+   * Wait until the expected number of previews exist and none is still uploading
+   */
+  async function waitForUploads(expected, timeout) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      const previews = getUploadPreviews();
+      const uploading = previews.some(preview => preview.querySelector(SELECTORS.uploadProgress));
+      if (previews.length >= expected && !uploading) return true;
+      await sleep(250);
+    }
+    return false;
+  }
+
+  /**
+   * Attach reference images through a synthesized paste, falling back to a drop
+   */
+  async function attachReferences(textarea, names) {
+    const files = await loadReferenceFiles(names);
+    const expected = getUploadPreviews().length + files.length;
+    const transfer = () => {
+      const dataTransfer = new DataTransfer();
+      files.forEach(file => dataTransfer.items.add(file));
+      return dataTransfer;
+    };
+
+    textarea.dispatchEvent(new ClipboardEvent('paste', { clipboardData: transfer(), bubbles: true, cancelable: true }));
+    if (await waitForUploads(expected, 3000)) return;
+
+    const dropTarget = textarea.closest('rich-textarea') || textarea;
+    const dataTransfer = transfer();
+    ['dragenter', 'dragover', 'drop'].forEach(type => {
+      dropTarget.dispatchEvent(new DragEvent(type, { dataTransfer, bubbles: true, cancelable: true }));
+    });
+    if (await waitForUploads(expected, 60000)) return;
+    throw new AutomationError('upload', `Reference image upload did not finish (${names.join(', ')})`);
+  }
+
+  /**
+   * Fill prompt and attach its reference images
+   */
+  async function fillPrompt(prompt, references = []) {
+    if (!navigator.onLine) throw new AutomationError('network', 'Browser is offline');
+
+    const textarea = document.querySelector(SELECTORS.promptTextarea);
+    if (!textarea) throw new AutomationError('selector', 'Prompt textarea not found');
+    await clearAttachments();
+
+    // Clear existing content safely (Trusted Types compliant)
+    while (textarea.firstChild) {
+      textarea.removeChild(textarea.firstChild);
+    }
+
+    textarea.focus();
+
+    // Create paragraph element with text node (Trusted Types compliant)
+    const p = document.createElement('p');
+    const textNode = document.createTextNode(prompt);
+    p.appendChild(textNode);
+    textarea.appendChild(p);
 
     // Trigger events
     textarea.dispatchEvent(new Event('input', { bubbles: true }));
     textarea.dispatchEvent(new Event('change', { bubbles: true }));
     textarea.classList.remove('ql-blank');
 
+    if (references.length > 0) {
+      await attachReferences(textarea, references);
+    }
+
     await sleep(500);
   }
 
@@ -352,7 +1497,7 @@
       attempts++;
     }
 
-    if (!sendBtn) throw new Error('Generate button not found');
+    if (!sendBtn) throw new AutomationError('selector', 'Generate button not found');
 
     const btnElement = sendBtn.closest('button') || sendBtn.parentElement;
     if (btnElement && btnElement.tagName === 'BUTTON') {
@@ -363,43 +1508,130 @@
     await sleep(1000);
   }
 
+  const matchesAny = (text, patterns) => patterns.some(pattern => pattern.test(text));
+
   /**
-   * Wait for generation completion
+   * First sentence of a response. Limit replies lead with the limit, so a
+   * longer answer that merely mentions one further on isn't mistaken for it.
    */
-  async function waitForCompletion() {
-    const maxWaitTime = 180000; // 3 minutes
-    await sleep(3000);
+  const leadingSentence = (text) => text.match(/^.*?(?:[.!?](?=\s|$)|[。！？])/)?.[0] || text;
+
+  const getLatestResponseTurn = () => {
+    const turns = document.querySelectorAll(SELECTORS.responseTurn);
+    return turns[turns.length - 1] || null;
+  };
 
-    return new Promise((resolve) => {
-      const startTime = Date.now();
-      const initialStopBtn = document.querySelector(SELECTORS.stopBtn);
+  // By container: removal may already have moved the src to a blob: URL
+  const getTurnImages = (turn) => getContainerImages(turn);
 
-      if (!initialStopBtn || initialStopBtn.offsetParent === null) {
-        resolve();
-        return;
+  // A cleaned image counts as soon as its blob is in place
+  const isImageLoaded = (img) =>
+    img.dataset.watermarkProcessed === 'true' || (img.complete && img.naturalWidth > 0);
+
+  const getLimitNotice = () => {
+    const snackText = Array.from(document.querySelectorAll(SELECTORS.snackBar))
+      .map(el => el.textContent.trim())
+      .join(' ');
+    return matchesAny(snackText, getLocaleTexts('limit')) ? snackText : null;
+  };
+
+  /**
+   * Inspect a response turn for an image, a refusal or a limit message
+   */
+  function inspectResponse(turn) {
+    const limitNotice = getLimitNotice();
+    if (limitNotice) return { outcome: 'limited', message: limitNotice };
+
+    if (!turn) return { outcome: 'empty', message: 'No response turn found' };
+    if (turn.querySelector(getImageContainers().join(','))) {
+      return { outcome: 'image' };
+    }
+
+    const text = turn.textContent.trim().replace(/\s+/g, ' ');
+    if (matchesAny(leadingSentence(text), getLocaleTexts('limit'))) return { outcome: 'limited', message: text };
+    if (matchesAny(text, getLocaleTexts('refusal'))) return { outcome: 'refused', message: text };
+    return { outcome: 'empty', message: 'Response contained no image' };
+  }
+
+  /**
+   * Turn the response outcome into an error when no image was produced
+   */
+  function assertImageProduced(turn, expectImage = true) {
+    const { outcome, message } = inspectResponse(turn);
+    const summary = message && message.length > 120 ? message.substring(0, 120) + '...' : message;
+    if (outcome === 'limited') throw new AutomationError('limited', summary);
+    if (outcome === 'refused') throw new AutomationError('refusal', summary);
+    if (outcome === 'empty' && expectImage) throw new AutomationError('noImage', summary);
+  }
+
+  /**
+   * Wait for the response turn created by the prompt just sent
+   */
+  async function waitForNewTurn(previousTurn) {
+    const maxWaitTime = 30000;
+    const deadline = Date.now() + maxWaitTime;
+    while (Date.now() < deadline) {
+      const turn = getLatestResponseTurn();
+      if (turn && turn !== previousTurn) return turn;
+      // A limit can be reported in a notification without any response
+      const limitNotice = getLimitNotice();
+      if (limitNotice) throw new AutomationError('limited', limitNotice);
+      await sleep(250);
+    }
+    throw new AutomationError('timeout', `No response appeared within ${maxWaitTime / 1000}s`);
+  }
+
+  /**
+   * Wait until the turn has finished generating and every image in it has
+   * loaded, or it answered without an image (refusal, limit, text)
+   */
+  async function waitForCompletion(turn) {
+    const maxWaitTime = 180000; // 3 minutes
+    const settleTime = 5000;
+    const deadline = Date.now() + maxWaitTime;
+    let idleSince = null;
+
+    while (Date.now() < deadline) {
+      await sleep(500);
+      const stopBtn = document.querySelector(SELECTORS.stopBtn);
+      if (stopBtn && stopBtn.offsetParent !== null) {
+        idleSince = null;
+        continue;
       }
 
-      const timeout = setTimeout(() => {
-        observer.disconnect();
-        resolve();
-      }, maxWaitTime);
-
-      const observer = new MutationObserver(() => {
-        const stopBtn = document.querySelector(SELECTORS.stopBtn);
-        if (!stopBtn || stopBtn.offsetParent === null) {
-          clearTimeout(timeout);
-          observer.disconnect();
-          setTimeout(resolve, 2000);
-        }
-      });
+      // Gemini shows a placeholder in each container until its image is ready
+      const containers = [...turn.querySelectorAll(getImageContainers().join(','))];
+      if (containers.length > 0) {
+        const loaded = containers.every(container =>
+          getContainerImages(container).some(isImageLoaded)
+        );
+        if (loaded) return;
+        continue;
+      }
 
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true,
-        attributes: true,
-        attributeFilter: ['style', 'class']
-      });
+      if (inspectResponse(turn).outcome !== 'empty') return;
+      idleSince = idleSince || Date.now();
+      if (Date.now() - idleSince >= settleTime) return;
+    }
+    throw new AutomationError('timeout', `Generation did not finish within ${maxWaitTime / 1000}s`);
+  }
+
+  /**
+   * Mark the turn and its images with the prompt that produced them
+   */
+  function bindResponseImages(turn, job, queueIndex) {
+    const index = job.promptIndex || queueIndex + 1;
+    const variation = job.variation || 1;
+    turn.dataset.gaPromptIndex = index;
+    turn.dataset.gaVariation = variation;
+    const images = getTurnImages(turn);
+    images.forEach((img, n) => {
+      img.dataset.gaPromptIndex = index;
+      img.dataset.gaVariation = variation;
+      img.dataset.gaImage = n + 1;
     });
+    job.imageCount = images.length;
+    return images;
   }
 
   // ============================================
@@ -407,22 +1639,89 @@
   // ============================================
 
   let engine = null;
-  const processingQueue = new Set();
+  let workerPool = null;
+  let mainThreadTail = Promise.resolve();
+  const processingQueue = new Map();
+  const processedBlobs = new WeakMap();
+
+  const GEMINI_IMAGE_SELECTOR = 'img[src*="googleusercontent.com"]';
+  const GEMINI_IMAGE_CONTAINERS = ['generated-image', '.generated-image-container'];
 
   const isValidGeminiImage = (img) =>
-    img.closest('generated-image,.generated-image-container') !== null;
+    img.closest(getImageContainers().join(',')) !== null;
+
+  /**
+   * Gemini images under a root, found by container rather than by src: watermark
+   * removal empties the src while it works and then points it at a blob: URL
+   */
+  const getContainerImages = (root) =>
+    [...root.querySelectorAll(getImageContainers().map(container => `${container} img`).join(','))]
+      .filter(img => img.dataset.originalSrc || img.src.includes('googleusercontent.com'));
 
   const findGeminiImages = () =>
-    [...document.querySelectorAll('img[src*="googleusercontent.com"]')]
+    [...document.querySelectorAll(GEMINI_IMAGE_SELECTOR)]
       .filter(isValidGeminiImage);
 
+  /**
+   * Remove the watermark from a displayed image, resolving to the cleaned blob
+   */
   async function processImage(imgElement) {
     // Skip if watermark removal is disabled
-    if (!state.removeWatermark) return;
-    if (!engine || processingQueue.has(imgElement)) return;
-    if (imgElement.dataset.watermarkProcessed === 'true') return;
+    if (!state.removeWatermark) return null;
+    if (!engine) return null;
+    if (processingQueue.has(imgElement)) return processingQueue.get(imgElement);
+    if (imgElement.dataset.watermarkProcessed === 'true') return processedBlobs.get(imgElement) || null;
+
+    const task = removeImageWatermark(imgElement);
+    processingQueue.set(imgElement, task);
+    try {
+      return await task;
+    } finally {
+      processingQueue.delete(imgElement);
+    }
+  }
+
+  /**
+   * Run image work on the main thread one task at a time, so a turn with
+   * several large images doesn't stall the page all at once
+   */
+  const runOnMainThread = (task) => {
+    const run = mainThreadTail.then(task, task);
+    mainThreadTail = run.catch(() => {});
+    return run;
+  };
+
+  /**
+   * Clean an image blob in a worker when the pool is up, otherwise on the
+   * main thread. `blob` in the result is the input itself when no watermark
+   * was detected.
+   */
+  async function cleanImageBlob(blob) {
+    const options = { inpaint: state.inpaintWatermark };
+    if (workerPool) {
+      try {
+        const result = await workerPool.process(blob, options);
+        return { ...result, blob: result.detected ? result.blob : blob };
+      } catch (error) {
+        // An image that crashed or hung a worker would stall the page the same
+        // way, so it fails here and keeps its original
+        if (!(error instanceof WorkerUnavailableError)) throw error;
+        console.warn('[Gemini Automator] No image workers left, processing on the main thread');
+      }
+    }
+    return runOnMainThread(async () => {
+      const blobUrl = URL.createObjectURL(blob);
+      try {
+        const img = await loadImage(blobUrl);
+        const { canvas, ...result } = await engine.removeWatermarkFromImage(img, options);
+        return { ...result, blob: result.detected ? await canvasToBlob(canvas) : blob };
+      } finally {
+        URL.revokeObjectURL(blobUrl);
+      }
+    });
+  }
 
-    processingQueue.add(imgElement);
+  async function removeImageWatermark(imgElement) {
     imgElement.dataset.watermarkProcessed = 'processing';
     const originalSrc = imgElement.src;
 
@@ -431,30 +1730,53 @@
       imgElement.dataset.originalSrc = originalSrc;
       imgElement.src = '';
       const normalSizeBlob = await fetchBlob(replaceWithNormalSize(originalSrc));
-      const normalSizeBlobUrl = URL.createObjectURL(normalSizeBlob);
-      const normalSizeImg = await loadImage(normalSizeBlobUrl);
-      const processedCanvas = await engine.removeWatermarkFromImage(normalSizeImg);
-      const processedBlob = await canvasToBlob(processedCanvas);
-      URL.revokeObjectURL(normalSizeBlobUrl);
+      // Without a watermark the original is already clean and comes back as is
+      const { blob: processedBlob, config, position, score, detected, inpainted } = await cleanImageBlob(normalSizeBlob);
 
       const processedBlobUrl = URL.createObjectURL(processedBlob);
       imgElement.src = processedBlobUrl;
       imgElement.dataset.watermarkProcessed = 'true';
       imgElement.dataset.processedBlobUrl = processedBlobUrl;
+      imgElement.dataset.watermarkScore = score.toFixed(3);
+      imgElement.dataset.watermarkDetected = String(detected);
+      if (detected) {
+        imgElement.dataset.watermarkSize = config.logoSize;
+        imgElement.dataset.watermarkPosition = `${position.x},${position.y}`;
+        imgElement.dataset.watermarkInpainted = inpainted;
+      }
+      processedBlobs.set(imgElement, processedBlob);
 
       // Update any download buttons/links
       updateDownloadLinks(imgElement, processedBlob, processedBlobUrl);
 
-      console.log('[Gemini Automator] Watermark removed');
+      console.log(detected
+        ? `[Gemini Automator] Watermark removed (${config.logoSize}px at ${position.x},${position.y}, ` +
+          `margins ${config.marginRight}/${config.marginBottom}, score ${score.toFixed(2)}, ${inpainted} pixels inpainted)`
+        : `[Gemini Automator] No watermark detected (score ${score.toFixed(2)}), image left as is`);
+      return processedBlob;
     } catch (error) {
       console.warn('[Gemini Automator] Failed to remove watermark:', error);
       imgElement.dataset.watermarkProcessed = 'failed';
       imgElement.src = originalSrc;
-    } finally {
-      processingQueue.delete(imgElement);
+      return null;
     }
   }
 
+  /**
+   * Full-size blob for an image: cleaned when removal is on, original otherwise
+   */
+  async function getImageBlob(imgElement) {
+    // Already cleaned: the element's src is a blob: URL by now, not the source
+    const processed = processedBlobs.get(imgElement);
+    if (processed) return processed;
+    if (state.removeWatermark && engine) {
+      const processedBlob = await processImage(imgElement);
+      if (processedBlob) return processedBlob;
+    }
+    const src = imgElement.dataset.originalSrc || imgElement.src;
+    return fetchBlob(replaceWithNormalSize(src));
+  }
+
   /**
    * Update download buttons/links to use processed image
    */
@@ -467,14 +1789,15 @@
     // Find download buttons/links (multiple strategies)
     const downloadElements = [
       ...container.querySelectorAll('a[download]'),
-      ...container.querySelectorAll('button[aria-label*="Download"], button[aria-label*="download"]'),
+      ...container.querySelectorAll('button[aria-label]'),
       ...container.querySelectorAll('[role="button"]'),
       ...container.querySelectorAll('mat-icon[fonticon*="download"]')
     ].filter(el => {
-      const text = el.textContent?.toLowerCase() || '';
-      const ariaLabel = el.getAttribute('aria-label')?.toLowerCase() || '';
+      const downloadTexts = getLocaleTexts('download');
+      const text = el.textContent || '';
+      const ariaLabel = el.getAttribute('aria-label') || '';
       const icon = el.querySelector('mat-icon')?.getAttribute('fonticon')?.toLowerCase() || '';
-      return text.includes('download') || ariaLabel.includes('download') || icon.includes('download');
+      return containsAnyText(text, downloadTexts) || containsAnyText(ariaLabel, downloadTexts) || icon.includes('download');
     });
 
     downloadElements.forEach(el => {
@@ -490,7 +1813,7 @@
           // Create download link
           const a = document.createElement('a');
           a.href = blobUrl;
-          a.download = `gemini-image-${Date.now()}.png`;
+          a.download = imgElement.dataset.gaFilename || `gemini-image-${Date.now()}.png`;
           document.body.appendChild(a);
           a.click();
           document.body.removeChild(a);
@@ -524,11 +1847,9 @@
    * Process image blob (for fetch interception)
    */
   async function processImageBlob(blob) {
-    const blobUrl = URL.createObjectURL(blob);
-    const img = await loadImage(blobUrl);
-    const canvas = await engine.removeWatermarkFromImage(img);
-    URL.revokeObjectURL(blobUrl);
-    return canvasToBlob(canvas);
+    const { blob: processedBlob, config, position, detected } = await cleanImageBlob(blob);
+    if (detected) console.log(`[Gemini Automator] Download cleaned (${config.logoSize}px at ${position.x},${position.y})`);
+    return processedBlob;
   }
 
   /**
@@ -537,6 +1858,9 @@
    */
   const GEMINI_URL_PATTERN = /^https:\/\/lh3\.googleusercontent\.com\/rd-gg(?:-dl)?\/.+=s(?!0-d\?).*/;
 
+  // Seen by the diagnostics report
+  const interception = { count: 0, lastUrl: null };
+
   /**
    * Intercept fetch to process downloads
    */
@@ -546,6 +1870,8 @@
 
     if (GEMINI_URL_PATTERN.test(url)) {
       console.log('[Gemini Automator] Intercepting:', url);
+      interception.count++;
+      interception.lastUrl = url;
 
       // Replace size parameter to get full resolution
       const origUrl = replaceWithNormalSize(url);
@@ -563,18 +1889,17 @@
         return response;
       }
 
+      // Read once: on failure the original bytes are served from here
+      const blob = await response.blob();
+      const init = { status: response.status, statusText: response.statusText, headers: response.headers };
       try {
         // Process the image blob
-        const processedBlob = await processImageBlob(await response.blob());
+        const processedBlob = await processImageBlob(blob);
 
-        return new Response(processedBlob, {
-          status: response.status,
-          statusText: response.statusText,
-          headers: response.headers
-        });
+        return new Response(processedBlob, init);
       } catch (error) {
         console.warn('[Gemini Automator] Processing failed:', error);
-        return response;
+        return new Response(blob, init);
       }
     }
 
@@ -582,344 +1907,2176 @@
   };
 
   // ============================================
-  // UI PANEL
+  // RUN IMAGES: AUTO-SAVE & ZIP EXPORT
   // ============================================
 
-  GM_addStyle(`
-    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap');
+  const DEFAULT_FILENAME_PATTERN = '{batch}/{index:03}-{slug(prompt)}-{variation}-{n}.png';
 
-    @keyframes slideIn {
-      from {
-        opacity: 0;
-        transform: translateY(10px);
-      }
-      to {
-        opacity: 1;
-        transform: translateY(0);
-      }
+  const slugify = (text, maxLength = 60) => text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, maxLength)
+    .replace(/-+$/, '') || 'image';
+
+  const FILENAME_FUNCTIONS = { slug: slugify };
+
+  /**
+   * Fill a pattern like {batch}/{index:03}-{slug(prompt)}-{n}.png
+   */
+  function formatFilename(pattern, values) {
+    const name = pattern.replace(/\{(\w+)(?:\((\w+)\))?(?::(\d+))?\}/g, (match, key, arg, pad) => {
+      const fn = arg ? FILENAME_FUNCTIONS[key] : null;
+      let value = values[arg || key];
+      if (value === undefined || (arg && !fn)) return match;
+      value = String(fn ? fn(String(value)) : value);
+      if (pad) value = value.padStart(parseInt(pad), '0');
+      // Values may not create folders or use reserved characters
+      return value.replace(/[\/\\<>:"|?*\x00-\x1f]/g, '-');
+    });
+    return name
+      .split('/')
+      .map(segment => segment.trim())
+      .filter(Boolean)
+      .join('/');
+  }
+
+  /**
+   * Save a blob to the downloads folder (GM_download keeps sub-folders)
+   */
+  const downloadBlob = (blob, name) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const cleanup = () => setTimeout(() => URL.revokeObjectURL(url), 10000);
+
+    if (typeof GM_download === 'function') {
+      GM_download({
+        url,
+        name,
+        saveAs: false,
+        onload: () => {
+          cleanup();
+          resolve();
+        },
+        onerror: (error) => {
+          cleanup();
+          reject(new Error(error?.error || 'Download failed'));
+        }
+      });
+      return;
     }
 
-    @keyframes pulse {
-      0%, 100% { opacity: 1; }
-      50% { opacity: 0.5; }
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name.replace(/\//g, '_');
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    cleanup();
+    resolve();
+  });
+
+  const getBlobDimensions = async (blob) => {
+    const bitmap = await createImageBitmap(blob);
+    const { width, height } = bitmap;
+    bitmap.close();
+    return { width, height };
+  };
+
+  const watermarkStatus = (img) => {
+    if (img.dataset.watermarkProcessed === 'true') {
+      return img.dataset.watermarkDetected === 'false' ? 'no-watermark' : 'cleaned';
     }
+    if (img.dataset.watermarkProcessed === 'failed') return 'watermark-failed';
+    return 'original';
+  };
 
-    #gemini-automator-panel {
-      position: fixed;
-      background: #0A0A0A;
-      border: none;
-      border-radius: 24px;
-      color: #FFFFFF;
-      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'SF Pro Display', sans-serif;
-      z-index: 999999;
+  /**
+   * Collect a prompt's images as run records (blob plus manifest fields)
+   */
+  async function collectResponseImages(job, queueIndex, images) {
+    // Variations of a prompt share its index so exports group them together
+    const index = job.promptIndex || queueIndex + 1;
+    const variation = job.variation || 1;
+    const pattern = document.getElementById('ga-filename-pattern').value.trim() || DEFAULT_FILENAME_PATTERN;
+
+    const records = [];
+    for (let n = 0; n < images.length; n++) {
+      const img = images[n];
+      const now = new Date();
+      const name = formatFilename(pattern, {
+        batch: state.batch,
+        index,
+        variation,
+        n: n + 1,
+        prompt: job.prompt,
+        filename: job.filename || slugify(job.prompt),
+        date: now.toISOString().slice(0, 10),
+        time: now.toTimeString().slice(0, 8).replace(/:/g, '')
+      });
+      try {
+        const blob = await getImageBlob(img);
+        const { width, height } = await getBlobDimensions(blob);
+        records.push({
+          file: /\.\w+$/.test(name) ? name : `${name}.png`,
+          index,
+          variation,
+          n: n + 1,
+          prompt: job.prompt,
+          timestamp: now.toISOString(),
+          sourceUrl: replaceWithNormalSize(img.dataset.originalSrc || img.src),
+          chatUrl: location.href,
+          width,
+          height,
+          watermark: img.dataset.watermarkSize ? Number(img.dataset.watermarkSize) : null,
+          watermarkPosition: img.dataset.watermarkPosition || null,
+          watermarkScore: img.dataset.watermarkScore ? Number(img.dataset.watermarkScore) : null,
+          status: watermarkStatus(img),
+          blob
+        });
+      } catch (error) {
+        console.warn('[Gemini Automator] Failed to collect image:', name, error);
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Download run records using their pattern-based file names
+   */
+  async function saveImages(records) {
+    let saved = 0;
+    for (const record of records) {
+      try {
+        await downloadBlob(record.blob, record.file);
+        saved++;
+      } catch (error) {
+        console.warn('[Gemini Automator] Auto-save failed:', record.file, error);
+      }
+    }
+    console.log(`[Gemini Automator] Auto-saved ${saved}/${records.length} images`);
+    return saved;
+  }
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  // Pass the previous result to continue a checksum over the next chunk
+  const crc32 = (bytes, previous = 0) => {
+    let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  };
+
+  /**
+   * CRC of a blob, read chunk by chunk so it never sits in memory whole
+   */
+  async function blobCrc32(blob) {
+    const reader = blob.stream().getReader();
+    let crc = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) return crc;
+      crc = crc32(value, crc);
+    }
+  }
+
+  // Offsets and sizes are 32-bit without ZIP64 records, which this writer doesn't emit
+  const ZIP_MAX_SIZE = 0xFFFFFFFF;
+  const ZIP_MAX_ENTRIES = 0xFFFF;
+
+  const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  });
+
+  /**
+   * Build an uncompressed (stored) ZIP archive from { name, data, date } entries.
+   * Blob entries are only read for their CRC; the archive references the
+   * original blobs, so a large run isn't copied into memory.
+   */
+  async function createZip(files) {
+    if (files.length > ZIP_MAX_ENTRIES) {
+      throw new Error(`too many files for a ZIP (${files.length}, the limit is ${ZIP_MAX_ENTRIES})`);
+    }
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    let centralSize = 0;
+
+    for (const file of files) {
+      const data = file.data instanceof Blob ? file.data : encoder.encode(file.data);
+      const size = data instanceof Blob ? data.size : data.length;
+      const name = encoder.encode(file.name);
+      if (offset + 30 + name.length + size > ZIP_MAX_SIZE) {
+        throw new Error('run is over 4 GB, too large for a ZIP');
+      }
+      const crc = data instanceof Blob ? await blobCrc32(data) : crc32(data);
+      const { time, date } = toDosDateTime(file.date || new Date());
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, size, true);
+      local.setUint32(22, size, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      parts.push(local.buffer, name, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014B50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, size, true);
+      entry.setUint32(24, size, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(entry.buffer, name);
+
+      offset += 30 + name.length + size;
+      centralSize += 46 + name.length;
+    }
+    if (offset + centralSize + 22 > ZIP_MAX_SIZE) {
+      throw new Error('run is over 4 GB, too large for a ZIP');
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+  }
+
+  /**
+   * Per-prompt outcome for manifests and run history
+   */
+  const summarizeQueue = (queue) => queue.map((job, i) => ({
+    index: i + 1,
+    prompt: job.prompt,
+    status: job.status,
+    attempts: job.attempts,
+    errorType: job.errorType,
+    error: job.error,
+    chatUrl: job.chatUrl,
+    images: job.imageCount,
+    ...jobSettings(job)
+  }));
+
+  const MANIFEST_COLUMNS = ['file', 'index', 'variation', 'n', 'prompt', 'timestamp', 'sourceUrl', 'chatUrl', 'width', 'height', 'watermark', 'watermarkPosition', 'watermarkScore', 'status'];
+
+  /**
+   * Build the ZIP for a run: images plus manifest.json and manifest.csv
+   */
+  async function buildRunArchive(batch, prompts, images, settings) {
+    const usedNames = new Set();
+    const ordered = [...images].sort((a, b) =>
+      a.index - b.index || (a.variation || 1) - (b.variation || 1) || a.n - b.n
+    );
+    const entries = ordered.map(record => {
+      let file = record.file;
+      for (let i = 2; usedNames.has(file); i++) file = record.file.replace(/(\.\w+)?$/, `-${i}$1`);
+      usedNames.add(file);
+      // History records carry storage-only fields that don't belong in the manifest
+      const { blob, thumbnail, id, runId, ...fields } = record;
+      return { ...fields, file, blob };
+    });
+
+    const manifestImages = entries.map(({ blob, ...fields }) => fields);
+    const groups = new Map();
+    manifestImages.forEach(image => {
+      if (!groups.has(image.index)) groups.set(image.index, { index: image.index, prompt: image.prompt, files: [] });
+      groups.get(image.index).files.push(image.file);
+    });
+    const manifest = {
+      batch,
+      exportedAt: new Date().toISOString(),
+      watermarkRemoval: settings.removeWatermark,
+      prompts,
+      groups: [...groups.values()],
+      images: manifestImages
+    };
+
+    return createZip([
+      ...entries.map(entry => ({ name: entry.file, data: entry.blob, date: new Date(entry.timestamp) })),
+      { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+      { name: 'manifest.csv', data: toCSV(manifestImages, MANIFEST_COLUMNS) }
+    ]);
+  }
+
+  /**
+   * Download everything from the current run as a single ZIP
+   */
+  async function exportRunZip() {
+    if (state.runImageCount === 0) {
+      updateStatus('No images from this run yet');
+      return;
+    }
+    const button = document.getElementById('ga-export-zip');
+    button.disabled = true;
+    try {
+      // The records' blobs are backed by IndexedDB, so the ZIP streams from disk
+      const images = await dbGetAll('images', 'runId', state.batch);
+      updateStatus(`Building ZIP with ${images.length} images...`);
+      const zip = await buildRunArchive(state.batch, summarizeQueue(state.queue), images, readRunSettings());
+      await downloadBlob(zip, `${state.batch}.zip`);
+      updateStatus(`Exported ${state.batch}.zip`);
+    } catch (error) {
+      updateStatus('ZIP export failed: ' + error.message);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // ============================================
+  // INDEXEDDB STORAGE
+  // ============================================
+
+  const DB_NAME = 'gemini-automator';
+  const DB_VERSION = 2;
+  const DB_STORES = {
+    runs: { keyPath: 'id', indexes: [] },
+    images: { keyPath: 'id', autoIncrement: true, indexes: ['runId'] },
+    references: { keyPath: 'name', indexes: [] }
+  };
+
+  let dbPromise = null;
+
+  const idbRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  function openDatabase() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          Object.entries(DB_STORES).forEach(([name, { keyPath, autoIncrement = false, indexes }]) => {
+            if (db.objectStoreNames.contains(name)) return;
+            const store = db.createObjectStore(name, { keyPath, autoIncrement });
+            indexes.forEach(index => store.createIndex(index, index));
+          });
+        };
+        request.onsuccess = () => {
+          // Let a newer version of the script in another tab upgrade the database
+          request.result.onversionchange = () => {
+            request.result.close();
+            dbPromise = null;
+          };
+          resolve(request.result);
+        };
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  const getStore = async (storeName, mode = 'readonly') =>
+    (await openDatabase()).transaction(storeName, mode).objectStore(storeName);
+
+  const dbPut = async (storeName, value) => idbRequest((await getStore(storeName, 'readwrite')).put(value));
+
+  const dbGet = async (storeName, key) => idbRequest((await getStore(storeName)).get(key));
+
+  const dbDelete = async (storeName, key) => idbRequest((await getStore(storeName, 'readwrite')).delete(key));
+
+  const dbGetAll = async (storeName, indexName = null, query = undefined) => {
+    const store = await getStore(storeName);
+    return idbRequest((indexName ? store.index(indexName) : store).getAll(query));
+  };
+
+  const dbGetAllKeys = async (storeName, indexName, query) =>
+    idbRequest((await getStore(storeName)).index(indexName).getAllKeys(query));
+
+  // ============================================
+  // REFERENCE IMAGES
+  // ============================================
+
+  /**
+   * Names from a row's reference field ("a.png; b.png")
+   */
+  const parseReferenceNames = (value) =>
+    String(value ?? '').split(';').map(name => name.trim()).filter(Boolean);
+
+  const saveReference = (file) => dbPut('references', {
+    name: file.name,
+    blob: file,
+    addedAt: Date.now()
+  });
+
+  /**
+   * Load reference images as File objects, in the order given
+   */
+  async function loadReferenceFiles(names) {
+    const files = [];
+    for (const name of names) {
+      const reference = await dbGet('references', name);
+      if (!reference) throw new AutomationError('reference', `Reference image "${name}" not found`);
+      files.push(new File([reference.blob], reference.name, { type: reference.blob.type || 'image/png' }));
+    }
+    return files;
+  }
+
+  /**
+   * Reference names used by the queue that are not stored
+   */
+  async function findMissingReferences(queue) {
+    const names = [...new Set(queue.flatMap(job => parseReferenceNames(job.reference)))];
+    if (names.length === 0) return [];
+    const stored = new Set((await dbGetAll('references')).map(reference => reference.name));
+    return names.filter(name => !stored.has(name));
+  }
+
+  /**
+   * Show stored reference images in the panel
+   */
+  async function renderReferenceList() {
+    const list = document.getElementById('ga-reference-list');
+    let references;
+    try {
+      references = await dbGetAll('references');
+    } catch (error) {
+      console.warn('[Gemini Automator] Reference images unavailable:', error);
+      return;
+    }
+    while (list.firstChild) list.removeChild(list.firstChild);
+    list.style.display = references.length > 0 ? 'flex' : 'none';
+    references.forEach(reference => {
+      const item = document.createElement('span');
+      item.textContent = reference.name;
+      item.title = `Attach with "ref=${reference.name} | prompt"`;
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = '✕';
+      removeBtn.title = 'Remove';
+      removeBtn.onclick = async () => {
+        await dbDelete('references', reference.name);
+        renderReferenceList();
+      };
+      item.appendChild(removeBtn);
+      list.appendChild(item);
+    });
+  }
+
+  // ============================================
+  // RUN HISTORY
+  // ============================================
+
+  const THUMBNAIL_SIZE = 160;
+  // Runs whose images are kept; older runs keep their prompts and outcomes only
+  const HISTORY_IMAGE_RUNS = 10;
+
+  // Serializes read-modify-write updates of the current run record
+  let runRecordChain = Promise.resolve();
+
+  /**
+   * Settings a run was started with
+   */
+  const readRunSettings = () => ({
+    profile: (state.profile || getSelectedProfile()).name,
+    minDelay: parseInt(document.getElementById('ga-min-delay').value),
+    maxDelay: parseInt(document.getElementById('ga-max-delay').value),
+    maxAttempts: parseInt(document.getElementById('ga-max-attempts').value),
+    backoff: parseInt(document.getElementById('ga-retry-backoff').value),
+    removeWatermark: state.removeWatermark,
+    autoSave: state.autoSave,
+    keepImages: state.keepImages,
+    filenamePattern: document.getElementById('ga-filename-pattern').value
+  });
+
+  /**
+   * Save the current run's prompts and outcomes to history
+   */
+  function recordRun({ ended = false } = {}) {
+    if (!state.batch) return runRecordChain;
+    const batch = state.batch;
+    const prompts = summarizeQueue(state.queue);
+    runRecordChain = runRecordChain.then(async () => {
+      const existing = await dbGet('runs', batch);
+      // An ended run is final; a late update must not reopen it
+      if (existing?.endedAt && !ended) return;
+      await dbPut('runs', {
+        ...existing,
+        id: batch,
+        startedAt: existing?.startedAt || Date.now(),
+        endedAt: ended ? Date.now() : null,
+        settings: existing?.settings || readRunSettings(),
+        prompts
+      });
+    }).catch(error => console.warn('[Gemini Automator] Failed to record run:', error));
+    return runRecordChain;
+  }
+
+  const createThumbnail = async (blob) => {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return canvasToBlob(canvas, 'image/jpeg');
+  };
+
+  /**
+   * Delete the images of all but the newest `keep` runs (the current run is
+   * never touched). Pruned runs stay in history with their prompts.
+   */
+  async function pruneRunImages(keep = HISTORY_IMAGE_RUNS) {
+    const runs = (await dbGetAll('runs'))
+      .filter(run => run.id !== state.batch && !run.imagesPruned)
+      .sort((a, b) => b.startedAt - a.startedAt);
+    let removed = 0;
+    for (const run of runs.slice(Math.max(0, keep - 1))) {
+      const imageIds = await dbGetAllKeys('images', 'runId', run.id);
+      for (const id of imageIds) await dbDelete('images', id);
+      await dbPut('runs', { ...run, imagesPruned: true });
+      removed += imageIds.length;
+    }
+    if (removed > 0) console.log(`[Gemini Automator] Pruned ${removed} images from older runs`);
+    return removed;
+  }
+
+  const isQuotaError = (error) => error?.name === 'QuotaExceededError';
+
+  /**
+   * Store a prompt's images (full blob plus thumbnail) under the current run.
+   * When storage is full, older runs' images are dropped and the write retried
+   * once; if that's not enough the image is skipped and the run goes on.
+   * Resolves to the number of images stored.
+   */
+  async function recordRunImages(records) {
+    let stored = 0;
+    for (const record of records) {
+      try {
+        const entry = { ...record, runId: state.batch, thumbnail: await createThumbnail(record.blob) };
+        try {
+          await dbPut('images', entry);
+        } catch (error) {
+          if (!isQuotaError(error) || (await pruneRunImages(1)) === 0) throw error;
+          await dbPut('images', entry);
+        }
+        stored++;
+      } catch (error) {
+        console.warn('[Gemini Automator] Failed to store image in history:', error);
+        if (isQuotaError(error)) updateStatus('Browser storage is full: images from this prompt were not kept for ZIP/history');
+      }
+    }
+    return stored;
+  }
+
+  async function deleteRun(runId) {
+    const imageIds = await dbGetAllKeys('images', 'runId', runId);
+    for (const id of imageIds) await dbDelete('images', id);
+    await dbDelete('runs', runId);
+  }
+
+  // ============================================
+  // MODAL
+  // ============================================
+
+  let modalObjectUrls = [];
+
+  /**
+   * Open a modal dialog and return its body element
+   */
+  function openModal(titleText) {
+    closeModal();
+    const overlay = document.createElement('div');
+    overlay.id = 'ga-modal';
+    overlay.className = 'ga-modal';
+    const dialog = document.createElement('div');
+    dialog.className = 'ga-modal-dialog';
+    const header = document.createElement('div');
+    header.className = 'ga-modal-header';
+    const title = document.createElement('h3');
+    title.textContent = titleText;
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'ga-modal-close';
+    closeBtn.textContent = '✕';
+    closeBtn.onclick = closeModal;
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+    const body = document.createElement('div');
+    body.className = 'ga-modal-body';
+    dialog.appendChild(header);
+    dialog.appendChild(body);
+    overlay.appendChild(dialog);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) closeModal();
+    });
+    document.body.appendChild(overlay);
+    return body;
+  }
+
+  function closeModal() {
+    document.getElementById('ga-modal')?.remove();
+    modalObjectUrls.forEach(url => URL.revokeObjectURL(url));
+    modalObjectUrls = [];
+  }
+
+  const modalObjectUrl = (blob) => {
+    const url = URL.createObjectURL(blob);
+    modalObjectUrls.push(url);
+    return url;
+  };
+
+  const createModalButton = (text, onClick) => {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.onclick = onClick;
+    return button;
+  };
+
+  // ============================================
+  // PROFILE EDITOR
+  // ============================================
+
+  /**
+   * Fill the panel's profile dropdown, keeping the given profile selected
+   */
+  function renderProfileOptions(selectedName) {
+    const select = document.getElementById('ga-profile');
+    while (select.firstChild) select.removeChild(select.firstChild);
+    getAllProfiles().forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.name;
+      option.textContent = profile.name;
+      select.appendChild(option);
+    });
+    select.value = getProfile(selectedName).name;
+    localStorage.setItem(SELECTED_PROFILE_KEY, select.value);
+  }
+
+  const createSelect = (options, value) => {
+    const select = document.createElement('select');
+    options.forEach(([optionValue, text]) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+    select.value = value;
+    return select;
+  };
+
+  const createField = (labelText, input) => {
+    const field = document.createElement('label');
+    field.className = 'ga-field';
+    field.textContent = labelText;
+    field.appendChild(input);
+    return field;
+  };
+
+  /**
+   * Edit or create a profile from the tools/models discovered on the page
+   */
+  function openProfileEditor(profile) {
+    const body = openModal('Setup Profile');
+    const options = loadSetupOptions();
+    // The built-in profile can't be changed, only used as a starting point
+    const draft = profile.builtin
+      ? { name: '', tool: profile.tool, model: profile.model }
+      : { ...profile };
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = draft.name;
+    nameInput.placeholder = 'e.g. Images + Fast';
+
+    const withCurrent = (labels, value) => value && !labels.includes(value) ? [value, ...labels] : labels;
+    const toolSelect = createSelect(
+      [['', 'No tool'], ...withCurrent(options.tools, draft.tool).map(label => [label, label])],
+      draft.tool || ''
+    );
+    const modelSelect = createSelect(
+      [['', 'Keep current model'], ...withCurrent(options.models, draft.model).map(label => [label, label])],
+      draft.model || ''
+    );
+
+    const hint = document.createElement('div');
+    hint.className = 'ga-history-meta';
+    hint.textContent = options.discoveredAt
+      ? `Options read from Gemini on ${new Date(options.discoveredAt).toLocaleString()}`
+      : 'Click "Discover" to read the available tools and models from Gemini.';
+
+    const actions = document.createElement('div');
+    actions.className = 'ga-modal-actions';
+    actions.appendChild(createModalButton('Discover', async () => {
+      try {
+        hint.textContent = 'Reading Gemini menus...';
+        await discoverSetupOptions();
+        openProfileEditor({ ...draft, name: nameInput.value.trim(), tool: toolSelect.value || null, model: modelSelect.value || null });
+      } catch (error) {
+        hint.textContent = 'Discovery failed: ' + error.message;
+      }
+    }));
+    actions.appendChild(createModalButton('Save', () => {
+      const name = nameInput.value.trim();
+      if (!name || name === DEFAULT_PROFILE.name) {
+        hint.textContent = 'Enter a new profile name';
+        return;
+      }
+      saveProfile({ name, tool: toolSelect.value || null, model: modelSelect.value || null });
+      renderProfileOptions(name);
+      closeModal();
+      updateStatus(`Profile "${name}" saved`);
+    }));
+    if (!profile.builtin) {
+      actions.appendChild(createModalButton('Delete', () => {
+        deleteProfile(profile.name);
+        renderProfileOptions(DEFAULT_PROFILE.name);
+        closeModal();
+        updateStatus(`Profile "${profile.name}" deleted`);
+      }));
+    }
+
+    body.appendChild(createField('Name', nameInput));
+    body.appendChild(createField('Tool', toolSelect));
+    body.appendChild(createField('Model', modelSelect));
+    body.appendChild(hint);
+    body.appendChild(actions);
+  }
+
+  // ============================================
+  // SELECTOR EDITOR
+  // ============================================
+
+  /**
+   * Edit, import, export and fetch selector overrides
+   */
+  function openSelectorEditor(overrides = selectorConfig.selectors) {
+    const body = openModal('Selectors');
+    const hint = document.createElement('div');
+    hint.className = 'ga-history-meta';
+    hint.textContent = 'Leave a field empty to use the built-in lookup. Selectors are checked against this page before saving.';
+    body.appendChild(hint);
+
+    const inputs = {};
+    Object.entries(OVERRIDABLE_SELECTORS).forEach(([key, label]) => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.value = overrides[key] || '';
+      input.placeholder = DEFAULT_SELECTORS[key] ||
+        (key === 'imageContainer' ? GEMINI_IMAGE_CONTAINERS.join(', ') : 'built-in strategies');
+      inputs[key] = input;
+      body.appendChild(createField(label, input));
+    });
+
+    const urlInput = document.createElement('input');
+    urlInput.type = 'url';
+    urlInput.value = selectorConfig.url;
+    urlInput.placeholder = 'https://example.com/gemini-selectors.json';
+    body.appendChild(createField('Configuration URL', urlInput));
+    const fetchOnLoad = document.createElement('input');
+    fetchOnLoad.type = 'checkbox';
+    fetchOnLoad.checked = selectorConfig.fetchOnLoad;
+    const fetchOnLoadLabel = document.createElement('label');
+    fetchOnLoadLabel.className = 'ga-history-meta';
+    fetchOnLoadLabel.appendChild(fetchOnLoad);
+    fetchOnLoadLabel.appendChild(document.createTextNode(' Fetch from URL on page load'));
+    body.appendChild(fetchOnLoadLabel);
+
+    const result = document.createElement('div');
+    result.className = 'ga-history-meta';
+
+    const readInputs = () => parseSelectorOverrides(
+      Object.fromEntries(Object.entries(inputs).map(([key, input]) => [key, input.value]))
+    );
+    const fillInputs = (values) => Object.entries(inputs).forEach(([key, input]) => {
+      input.value = values[key] || '';
+    });
+    const showValidation = ({ errors, warnings }) => {
+      result.textContent = [...errors, ...warnings].join('\n') || 'All selectors match ✓';
+      result.style.whiteSpace = 'pre-line';
+      result.style.color = errors.length ? '#FF453A' : '';
+    };
+
+    const importInput = document.createElement('input');
+    importInput.type = 'file';
+    importInput.accept = '.json,application/json';
+    importInput.style.display = 'none';
+    importInput.onchange = async () => {
+      const file = importInput.files[0];
+      importInput.value = '';
+      if (!file) return;
+      try {
+        fillInputs(parseSelectorOverrides(JSON.parse(await file.text())));
+        showValidation(validateSelectorOverrides(readInputs()));
+      } catch (error) {
+        showValidation({ errors: ['Import failed: ' + error.message], warnings: [] });
+      }
+    };
+
+    const actions = document.createElement('div');
+    actions.className = 'ga-modal-actions';
+    actions.appendChild(createModalButton('Validate', () => {
+      try {
+        showValidation(validateSelectorOverrides(readInputs()));
+      } catch (error) {
+        showValidation({ errors: [error.message], warnings: [] });
+      }
+    }));
+    actions.appendChild(createModalButton('Save', () => {
+      let selectors;
+      try {
+        selectors = readInputs();
+      } catch (error) {
+        showValidation({ errors: [error.message], warnings: [] });
+        return;
+      }
+      const validation = validateSelectorOverrides(selectors);
+      showValidation(validation);
+      if (validation.errors.length) return;
+      if (validation.warnings.length && !confirm(`${validation.warnings.join('\n')}\n\nSave anyway?`)) return;
+      saveSelectorConfig({ selectors, url: urlInput.value.trim(), fetchOnLoad: fetchOnLoad.checked });
+      closeModal();
+      updateStatus(`Selectors saved (${Object.keys(selectors).length} overridden)`);
+    }));
+    actions.appendChild(createModalButton('Fetch URL', async () => {
+      const url = urlInput.value.trim();
+      if (!url) {
+        showValidation({ errors: ['Enter a configuration URL'], warnings: [] });
+        return;
+      }
+      try {
+        result.textContent = 'Fetching...';
+        fillInputs(await fetchSelectorOverrides(url));
+        showValidation(validateSelectorOverrides(readInputs()));
+      } catch (error) {
+        showValidation({ errors: ['Fetch failed: ' + error.message], warnings: [] });
+      }
+    }));
+    actions.appendChild(createModalButton('Import JSON', () => importInput.click()));
+    actions.appendChild(createModalButton('Export JSON', () => {
+      try {
+        downloadText(JSON.stringify({ selectors: readInputs() }, null, 2), 'gemini-automator-selectors.json', 'application/json');
+      } catch (error) {
+        showValidation({ errors: [error.message], warnings: [] });
+      }
+    }));
+    actions.appendChild(createModalButton('Reset', () => {
+      fillInputs({});
+      result.textContent = 'Cleared - save to return to the built-in selectors';
+    }));
+    body.appendChild(result);
+    body.appendChild(actions);
+    body.appendChild(importInput);
+  }
+
+  // ============================================
+  // HISTORY VIEW
+  // ============================================
+
+  const formatDuration = (ms) => {
+    const minutes = Math.round(ms / 60000);
+    return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  };
+
+  /**
+   * List past runs, newest first
+   */
+  async function openHistory() {
+    const body = openModal('History');
+    let runs;
+    try {
+      runs = (await dbGetAll('runs')).sort((a, b) => b.startedAt - a.startedAt);
+    } catch (error) {
+      body.textContent = 'History unavailable: ' + error.message;
+      return;
+    }
+    if (runs.length === 0) {
+      body.textContent = 'No runs recorded yet.';
+      return;
+    }
+
+    for (const run of runs) {
+      const imageCount = (await dbGetAllKeys('images', 'runId', run.id)).length;
+      const done = run.prompts.filter(p => p.status === 'done').length;
+      const failed = run.prompts.filter(p => p.status === 'failed').length;
+      const item = document.createElement('div');
+      item.className = 'ga-history-item';
+      const name = document.createElement('div');
+      name.className = 'ga-history-title';
+      name.textContent = new Date(run.startedAt).toLocaleString();
+      const meta = document.createElement('div');
+      meta.className = 'ga-history-meta';
+      const duration = run.endedAt ? formatDuration(run.endedAt - run.startedAt) : 'unfinished';
+      meta.textContent = `${done}/${run.prompts.length} done · ${failed} failed · ${imageCount} images · ${duration}`;
+      item.appendChild(name);
+      item.appendChild(meta);
+      item.onclick = () => openHistoryRun(run.id);
+      body.appendChild(item);
+    }
+  }
+
+  /**
+   * Show one run: prompt outcomes, thumbnails and actions
+   */
+  async function openHistoryRun(runId) {
+    const [run, images] = await Promise.all([dbGet('runs', runId), dbGetAll('images', 'runId', runId)]);
+    if (!run) return openHistory();
+    const body = openModal(run.id);
+
+    const actions = document.createElement('div');
+    actions.className = 'ga-modal-actions';
+    const failedPrompts = run.prompts.filter(p => p.status === 'failed');
+    actions.appendChild(createModalButton('← Back', openHistory));
+    const zipBtn = createModalButton(`Download ZIP (${images.length})`, async () => {
+      zipBtn.disabled = true;
+      try {
+        const zip = await buildRunArchive(run.id, run.prompts, images, run.settings);
+        await downloadBlob(zip, `${run.id}.zip`);
+      } catch (error) {
+        updateStatus('ZIP export failed: ' + error.message);
+      } finally {
+        zipBtn.disabled = false;
+      }
+    });
+    zipBtn.disabled = images.length === 0;
+    actions.appendChild(zipBtn);
+    const requeueBtn = createModalButton(`Re-queue failed (${failedPrompts.length})`, () => {
+      state.failed = failedPrompts.map(p => createJob(p.prompt, jobSettings(p)));
+      closeModal();
+      requeueFailed();
+    });
+    requeueBtn.disabled = failedPrompts.length === 0 || state.isRunning;
+    actions.appendChild(requeueBtn);
+    actions.appendChild(createModalButton('Delete', async () => {
+      if (!confirm(`Delete run ${run.id} and its ${images.length} images?`)) return;
+      await deleteRun(run.id);
+      openHistory();
+    }));
+    body.appendChild(actions);
+
+    const settings = document.createElement('div');
+    settings.className = 'ga-history-meta';
+    settings.textContent = `Started ${new Date(run.startedAt).toLocaleString()}` +
+      (run.endedAt ? ` · ended ${new Date(run.endedAt).toLocaleString()}` : ' · unfinished') +
+      ` · delay ${run.settings.minDelay}-${run.settings.maxDelay}s` +
+      ` · watermark removal ${run.settings.removeWatermark ? 'on' : 'off'}` +
+      (run.imagesPruned ? ' · images removed to save space' : '');
+    body.appendChild(settings);
+
+    const list = document.createElement('ol');
+    list.className = 'ga-history-prompts';
+    run.prompts.forEach(p => {
+      const item = document.createElement('li');
+      item.className = `status-${p.status}`;
+      item.textContent = `[${p.status}] ${p.prompt}`;
+      if (p.error) item.title = `${ERROR_TYPES[p.errorType]?.label || 'Error'}: ${p.error}`;
+      list.appendChild(item);
+    });
+    body.appendChild(list);
+
+    // Thumbnails grouped by prompt
+    const groups = new Map();
+    images.forEach(image => {
+      if (!groups.has(image.index)) groups.set(image.index, []);
+      groups.get(image.index).push(image);
+    });
+    [...groups.entries()].sort((a, b) => a[0] - b[0]).forEach(([index, groupImages]) => {
+      const heading = document.createElement('div');
+      heading.className = 'ga-history-meta';
+      heading.textContent = `#${index} ${groupImages[0].prompt}`;
+      const grid = document.createElement('div');
+      grid.className = 'ga-thumbnails';
+      groupImages.forEach(image => {
+        const thumb = document.createElement('img');
+        thumb.src = modalObjectUrl(image.thumbnail || image.blob);
+        thumb.title = `Variation ${image.variation || 1}, image ${image.n}` +
+          (image.status ? ` · ${image.status}` : '') + '\nClick to download';
+        thumb.onclick = () => downloadBlob(image.blob, image.file);
+        grid.appendChild(thumb);
+      });
+      body.appendChild(heading);
+      body.appendChild(grid);
+    });
+  }
+
+  // ============================================
+  // DIAGNOSTICS
+  // ============================================
+
+  /**
+   * Selectors that legitimately match nothing most of the time
+   */
+  const SITUATIONAL_SELECTORS = {
+    stopBtn: 'only while generating',
+    responseTurn: 'only once the chat has a response',
+    snackBar: 'only while a notification is shown',
+    imageContainer: 'only once the chat has an image',
+    uploadPreview: 'only while files are attached',
+    uploadProgress: 'only while a file uploads',
+    uploadRemoveBtn: 'only while files are attached'
+  };
+
+  /**
+   * Short, human-readable description of a matched element
+   */
+  function describeElement(element) {
+    if (!element) return null;
+    const id = element.id ? `#${element.id}` : '';
+    const classes = typeof element.className === 'string' && element.className.trim()
+      ? '.' + element.className.trim().split(/\s+/).slice(0, 3).join('.')
+      : '';
+    const label = element.getAttribute('aria-label') || element.getAttribute('fonticon') ||
+      element.textContent?.trim().replace(/\s+/g, ' ').substring(0, 40) || '';
+    const hidden = element.offsetParent === null ? ' (hidden)' : '';
+    return `${element.tagName.toLowerCase()}${id}${classes}${label ? ` "${label}"` : ''}${hidden}`;
+  }
+
+  /**
+   * Run one selector, capturing syntax errors instead of throwing
+   */
+  function checkSelector(name, selector, root = document) {
+    try {
+      const matches = root.querySelectorAll(selector);
+      return { name, selector, matched: matches.length > 0, count: matches.length, element: describeElement(matches[0]) };
+    } catch (error) {
+      return { name, selector, matched: false, count: 0, error: error.message };
+    }
+  }
+
+  const checkStrategies = (strategies) => strategies.map(strategy => {
+    try {
+      const element = strategy.find();
+      return { name: strategy.name, matched: !!element, element: describeElement(element) };
+    } catch (error) {
+      return { name: strategy.name, matched: false, error: error.message };
+    }
+  });
+
+  /**
+   * Run every selector, strategy and image finder against the live page
+   */
+  function runDiagnostics() {
+    const pageImages = [...document.querySelectorAll(GEMINI_IMAGE_SELECTOR)];
+    const geminiImages = findGeminiImages();
+    return {
+      generatedAt: new Date().toISOString(),
+      version: typeof GM_info !== 'undefined' ? GM_info.script.version : null,
+      url: location.href,
+      userAgent: navigator.userAgent,
+      language: document.documentElement.lang || null,
+      locale: detectLocale(),
+      overrides: selectorConfig.selectors,
+      selectors: Object.entries(SELECTORS).map(([name, selector]) => ({
+        ...checkSelector(name, selector),
+        note: SITUATIONAL_SELECTORS[name]
+      })),
+      strategies: {
+        toolsButton: checkStrategies(withOverride('toolsButton', TOOLS_BUTTON_STRATEGIES)),
+        modelPicker: checkStrategies(withOverride('modelPicker', MODEL_PICKER_STRATEGIES)),
+        newChat: checkStrategies(NEW_CHAT_STRATEGIES)
+      },
+      images: [
+        checkSelector('googleusercontent images', GEMINI_IMAGE_SELECTOR),
+        ...getImageContainers().map(container =>
+          checkSelector(`images in ${container}`, `${container} ${GEMINI_IMAGE_SELECTOR}`)
+        ),
+        { name: 'findGeminiImages()', matched: geminiImages.length > 0, count: geminiImages.length, element: describeElement(geminiImages[0]) }
+      ],
+      fetch: {
+        pattern: GEMINI_URL_PATTERN.source,
+        intercepted: interception.count,
+        lastUrl: interception.lastUrl,
+        pageImagesMatching: pageImages.filter(img => GEMINI_URL_PATTERN.test(img.src)).length,
+        pageImages: pageImages.length,
+        sampleSrc: geminiImages[0]?.src || pageImages[0]?.src || null
+      },
+      processing: {
+        engine: Boolean(engine),
+        workers: workerPool ? workerPool.size : 0
+      }
+    };
+  }
+
+  /**
+   * Render a group of checks as a pass/fail list
+   */
+  function renderDiagnosticChecks(body, title, checks) {
+    const heading = document.createElement('div');
+    heading.className = 'ga-history-title';
+    heading.textContent = title;
+    const list = document.createElement('ul');
+    list.className = 'ga-diagnostics';
+    checks.forEach(check => {
+      const item = document.createElement('li');
+      const status = check.matched ? 'ok' : check.note && !check.error ? 'skipped' : 'failed';
+      item.className = `status-${status}`;
+      const detail = check.error || (check.matched ? check.element : check.note || 'no match');
+      const count = check.count > 1 ? ` ×${check.count}` : '';
+      item.textContent = `${check.matched ? '✓' : status === 'skipped' ? '–' : '✗'} ${check.name}${count}: ${detail}`;
+      if (check.selector) item.title = check.selector;
+      list.appendChild(item);
+    });
+    body.appendChild(heading);
+    body.appendChild(list);
+  }
+
+  /**
+   * Show the diagnostics report with copy/download actions
+   */
+  function openDiagnostics() {
+    const report = runDiagnostics();
+    const json = JSON.stringify(report, null, 2);
+    const body = openModal('Diagnostics');
+
+    const actions = document.createElement('div');
+    actions.className = 'ga-modal-actions';
+    const copyBtn = createModalButton('Copy JSON', async () => {
+      try {
+        await navigator.clipboard.writeText(json);
+        copyBtn.textContent = 'Copied ✓';
+      } catch (error) {
+        // Clipboard blocked: select the raw report so it can be copied by hand
+        details.open = true;
+        raw.select();
+      }
+    });
+    actions.appendChild(copyBtn);
+    actions.appendChild(createModalButton('Download JSON', () => {
+      downloadBlob(new Blob([json], { type: 'application/json' }), `gemini-automator-diagnostics-${Date.now()}.json`);
+    }));
+    actions.appendChild(createModalButton('Run again', openDiagnostics));
+    actions.appendChild(createModalButton('Edit selectors', () => openSelectorEditor()));
+    body.appendChild(actions);
+
+    const meta = document.createElement('div');
+    meta.className = 'ga-history-meta';
+    meta.textContent = `${report.url} · language ${report.language || 'unknown'} (${report.locale}) · v${report.version || '?'}`;
+    body.appendChild(meta);
+
+    renderDiagnosticChecks(body, 'SELECTORS', report.selectors);
+    renderDiagnosticChecks(body, 'Tools button', report.strategies.toolsButton);
+    renderDiagnosticChecks(body, 'Model picker', report.strategies.modelPicker);
+    renderDiagnosticChecks(body, 'New chat button', report.strategies.newChat);
+    renderDiagnosticChecks(body, 'Generated images', report.images);
+    renderDiagnosticChecks(body, 'Fetch interception', [
+      {
+        name: 'page images matching URL pattern',
+        matched: report.fetch.pageImagesMatching > 0,
+        count: report.fetch.pageImagesMatching,
+        element: `${report.fetch.pageImagesMatching}/${report.fetch.pageImages}`,
+        note: report.fetch.pageImages === 0 ? 'no images on the page yet' : undefined
+      },
+      {
+        name: 'downloads intercepted',
+        matched: report.fetch.intercepted > 0,
+        count: report.fetch.intercepted,
+        element: report.fetch.lastUrl,
+        note: 'only after an image is downloaded'
+      }
+    ]);
+
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = 'Raw JSON';
+    const raw = document.createElement('textarea');
+    raw.className = 'ga-diagnostics-raw';
+    raw.readOnly = true;
+    raw.value = json;
+    details.appendChild(summary);
+    details.appendChild(raw);
+    body.appendChild(details);
+  }
+
+  // ============================================
+  // PROMPT TEMPLATES
+  // ============================================
+
+  const MAX_EXPANSIONS = 10000;
+
+  /**
+   * Parse "name = value" lines from the variables block
+   */
+  function parseVariables(text) {
+    const variables = {};
+    text.split('\n').forEach(line => {
+      const match = line.match(/^\s*([\w-]+)\s*[=:]\s*(.*)$/);
+      if (match) variables[match[1]] = match[2].trim();
+    });
+    return variables;
+  }
+
+  /**
+   * Expand {{variables}} and {a|b} alternatives into every combination
+   */
+  function expandTemplate(template, variables = {}) {
+    // Substitute variables first; a plain "a|b" value becomes a group
+    const text = template.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (match, name) => {
+      if (!(name in variables)) throw new Error(`Unknown variable {{${name}}}`);
+      const value = variables[name];
+      return value.includes('{') ? value : `{${value}}`;
+    });
+
+    // Odd indices are the contents of {...} groups
+    const parts = text.split(/\{([^{}]*)\}/);
+    let results = [''];
+    parts.forEach((part, i) => {
+      const options = i % 2 ? part.split('|').map(option => option.trim()) : [part];
+      if (results.length * options.length > MAX_EXPANSIONS) {
+        throw new Error(`Template expands to more than ${MAX_EXPANSIONS} prompts`);
+      }
+      results = results.flatMap(prefix => options.map(option => prefix + option));
+    });
+    return results.map(result => result.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  }
+
+  /**
+   * Pick n combinations at random, keeping their original order
+   */
+  function samplePrompts(prompts, n) {
+    if (!n || n >= prompts.length) return prompts;
+    const indices = prompts.map((_, i) => i);
+    for (let i = 0; i < n; i++) {
+      const j = i + Math.floor(Math.random() * (indices.length - i));
+      [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices.slice(0, n).sort((a, b) => a - b).map(i => prompts[i]);
+  }
+
+  /**
+   * Expand every row's prompt against the variables block, keeping row settings
+   */
+  function expandRows(rows, variablesText) {
+    const variables = parseVariables(variablesText);
+    const expanded = rows.flatMap(row =>
+      expandTemplate(row.prompt, variables).map(prompt => ({ ...row, prompt }))
+    );
+    if (expanded.length > MAX_EXPANSIONS) {
+      throw new Error(`Templates expand to more than ${MAX_EXPANSIONS} prompts`);
+    }
+    return expanded;
+  }
+
+  // ============================================
+  // BATCH IMPORT / EXPORT
+  // ============================================
+
+  const ROW_FIELDS = ['prompt', 'repeat', 'filename', 'delay', 'tool', 'model', 'reference'];
+
+  const COLUMN_ALIASES = {
+    text: 'prompt',
+    repeats: 'repeat',
+    count: 'repeat',
+    file: 'filename',
+    output: 'filename',
+    ref: 'reference',
+    references: 'reference',
+    image: 'reference'
+  };
+
+  /**
+   * Parse CSV text (quoted fields, "" escapes, comma/semicolon/tab delimiters)
+   */
+  function parseCSV(text) {
+    const firstLine = text.split('\n')[0];
+    const delimiter = ['\t', ';', ','].reduce((best, d) =>
+      firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field || record.length) {
+      record.push(field);
+      records.push(record);
+    }
+    return records.filter(r => r.some(value => value.trim()));
+  }
+
+  /**
+   * Serialize rows to CSV with a header line
+   */
+  function toCSV(rows, columns) {
+    const escape = (value) => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+      .map(values => values.map(escape).join(','))
+      .join('\n');
+  }
+
+  /**
+   * Keep the prompt plus any valid per-row overrides
+   */
+  function normalizeRow(raw) {
+    const prompt = String(raw.prompt ?? '').trim();
+    if (!prompt) return null;
+    const row = { prompt };
+    const repeat = parseInt(raw.repeat);
+    if (repeat > 0) row.repeat = repeat;
+    const delay = parseFloat(raw.delay);
+    if (delay >= 0) row.delay = delay;
+    ['filename', 'tool', 'model'].forEach(field => {
+      const value = String(raw[field] ?? '').trim();
+      if (value) row[field] = value;
+    });
+    const references = Array.isArray(raw.reference) ? raw.reference.map(String) : parseReferenceNames(raw.reference);
+    if (references.length > 0) row.reference = references.join('; ');
+    return row;
+  }
+
+  /**
+   * Parse an imported CSV or JSON batch into rows
+   */
+  function parseBatchFile(text, fileName) {
+    let records;
+    // The extension decides; content is only sniffed for files without one,
+    // since a CSV prompt can open with a {a|b} template
+    const isJSON = /\.json$/i.test(fileName) || (!/\.csv$/i.test(fileName) && /^\s*[[{]/.test(text));
+    if (isJSON) {
+      const data = JSON.parse(text);
+      const list = Array.isArray(data) ? data : data.rows || data.queue;
+      if (!Array.isArray(list)) throw new Error('JSON must be an array of rows');
+      records = list.map(item => typeof item === 'string' ? { prompt: item } : item);
+    } else {
+      const [header, ...body] = parseCSV(text);
+      const columns = header.map(name => {
+        const key = name.trim().toLowerCase();
+        return COLUMN_ALIASES[key] || key;
+      });
+      if (!columns.includes('prompt')) {
+        // No header: every line is a whole prompt
+        records = text.split(/\r?\n/).map(line => ({ prompt: line }));
+      } else {
+        records = body.map(values =>
+          Object.fromEntries(columns.map((column, i) => [column, values[i]]))
+        );
+      }
+    }
+    const rows = records.map(normalizeRow).filter(Boolean);
+    if (rows.length === 0) throw new Error('No prompts found');
+    return rows;
+  }
+
+  /**
+   * Collapse queued jobs back into one row per prompt
+   */
+  function queueToRows(queue) {
+    return queue
+      .filter(job => !job.variation || job.variation === 1)
+      .map(job => {
+        const row = {};
+        ROW_FIELDS.forEach(field => {
+          if (job[field] !== undefined) row[field] = job[field];
+        });
+        if (job.variations > 1) row.repeat = job.variations;
+        row.status = job.status;
+        return row;
+      });
+  }
+
+  const downloadText = (text, fileName, type) => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  // ============================================
+  // UI PANEL
+  // ============================================
+
+  GM_addStyle(`
+    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap');
+
+    @keyframes slideIn {
+      from {
+        opacity: 0;
+        transform: translateY(10px);
+      }
+      to {
+        opacity: 1;
+        transform: translateY(0);
+      }
+    }
+
+    @keyframes pulse {
+      0%, 100% { opacity: 1; }
+      50% { opacity: 0.5; }
+    }
+
+    #gemini-automator-panel {
+      position: fixed;
+      background: #0A0A0A;
+      border: none;
+      border-radius: 24px;
+      color: #FFFFFF;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'SF Pro Display', sans-serif;
+      z-index: 999999;
       padding: 0;
       overflow: hidden;
       display: flex;
-      flex-direction: column;
-      box-shadow:
-        0 20px 60px rgba(0, 0, 0, 0.9),
-        0 0 0 1px rgba(255, 255, 255, 0.05);
-      min-width: 380px;
-      min-height: 480px;
-      max-width: 600px;
-      max-height: calc(100vh - 40px);
-      resize: both;
-      animation: slideIn 0.3s cubic-bezier(0.16, 1, 0.3, 1);
+      flex-direction: column;
+      box-shadow:
+        0 20px 60px rgba(0, 0, 0, 0.9),
+        0 0 0 1px rgba(255, 255, 255, 0.05);
+      min-width: 380px;
+      min-height: 480px;
+      max-width: 600px;
+      max-height: calc(100vh - 40px);
+      resize: both;
+      animation: slideIn 0.3s cubic-bezier(0.16, 1, 0.3, 1);
+    }
+
+    #gemini-automator-panel h2 {
+      margin: 0;
+      padding: 24px 28px;
+      font-size: 20px;
+      font-weight: 700;
+      color: #FFFFFF;
+      letter-spacing: -0.03em;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.06);
+      background: #000000;
+      cursor: move;
+      user-select: none;
+      flex-shrink: 0;
+    }
+
+    #gemini-automator-panel .resize-handle {
+      position: absolute;
+      bottom: 16px;
+      right: 16px;
+      width: 16px;
+      height: 16px;
+      cursor: nwse-resize;
+      background: rgba(255, 255, 255, 0.08);
+      border-radius: 3px;
+      z-index: 10;
+      transition: all 0.2s ease;
+    }
+
+    #gemini-automator-panel .resize-handle::before {
+      content: '⋮⋮';
+      position: absolute;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%) rotate(-45deg);
+      font-size: 8px;
+      color: rgba(255, 255, 255, 0.4);
+      letter-spacing: -2px;
+    }
+
+    #gemini-automator-panel .resize-handle:hover {
+      background: rgba(255, 255, 255, 0.15);
+    }
+
+    #gemini-automator-panel > div:first-of-type {
+      padding: 24px 32px 32px 28px;
+      overflow-y: auto;
+      overflow-x: hidden;
+      flex: 1;
+      min-height: 0;
+      background: #0A0A0A;
+    }
+
+    #gemini-automator-panel label {
+      display: block;
+      font-size: 15px;
+      font-weight: 600;
+      color: #FFFFFF;
+      margin-bottom: 10px;
+      letter-spacing: -0.02em;
+      line-height: 1.3;
+    }
+
+    #gemini-automator-panel textarea {
+      width: 100%;
+      min-height: 120px;
+      max-height: 240px;
+      background: #1C1C1E;
+      border: none;
+      border-radius: 16px;
+      color: #FFFFFF;
+      padding: 16px 18px;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+      font-size: 14px;
+      resize: vertical;
+      line-height: 1.5;
+      transition: all 0.2s ease;
+      box-sizing: border-box;
+    }
+
+    #gemini-automator-panel textarea:focus {
+      outline: none;
+      background: #2C2C2E;
+      box-shadow: 0 0 0 2px rgba(255, 214, 10, 0.3);
+    }
+
+    #gemini-automator-panel textarea::placeholder {
+      color: #8E8E93;
+    }
+
+    #gemini-automator-panel input[type="number"] {
+      background: #1C1C1E;
+      border: none;
+      border-radius: 12px;
+      color: #FFFFFF;
+      padding: 12px 10px;
+      text-align: center;
+      font-family: 'Inter', sans-serif;
+      font-size: 15px;
+      font-weight: 600;
+      transition: all 0.2s ease;
+      box-sizing: border-box;
+    }
+
+    #gemini-automator-panel input[type="text"] {
+      width: 100%;
+      background: #1C1C1E;
+      border: none;
+      border-radius: 12px;
+      color: #FFFFFF;
+      padding: 12px 14px;
+      font-family: 'Inter', sans-serif;
+      font-size: 13px;
+      transition: all 0.2s ease;
+      box-sizing: border-box;
+      margin: -8px 0 16px;
+    }
+
+    #gemini-automator-panel select {
+      flex: 2;
+      min-width: 0;
+      background: #2C2C2E;
+      border: none;
+      border-radius: 12px;
+      color: #FFFFFF;
+      padding: 10px 12px;
+      font-family: 'Inter', sans-serif;
+      font-size: 14px;
+    }
+
+    #gemini-automator-panel button#ga-edit-profile,
+    #gemini-automator-panel button#ga-edit-schedule {
+      flex: 0 0 auto;
+      background: #2C2C2E;
+      color: #FFFFFF;
+      padding: 10px 14px;
+      font-size: 13px;
+    }
+
+    #gemini-automator-panel input[type="text"]:focus,
+    #gemini-automator-panel input[type="number"]:focus {
+      outline: none;
+      background: #2C2C2E;
+      box-shadow: 0 0 0 2px rgba(255, 214, 10, 0.3);
+    }
+
+    #gemini-automator-panel input[type="checkbox"] {
+      width: 51px;
+      height: 31px;
+      appearance: none;
+      background: #3A3A3C;
+      border-radius: 31px;
+      position: relative;
+      cursor: pointer;
+      transition: all 0.25s ease;
+      border: none;
+    }
+
+    #gemini-automator-panel input[type="checkbox"]:checked {
+      background: #FFD60A;
+    }
+
+    #gemini-automator-panel input[type="checkbox"]::before {
+      content: '';
+      position: absolute;
+      width: 27px;
+      height: 27px;
+      border-radius: 50%;
+      background: #FFFFFF;
+      top: 2px;
+      left: 2px;
+      transition: all 0.25s ease;
+      box-shadow: 0 3px 8px rgba(0, 0, 0, 0.4);
+    }
+
+    #gemini-automator-panel input[type="checkbox"]:checked::before {
+      left: 22px;
+    }
+
+    #gemini-automator-panel button {
+      border: none;
+      border-radius: 999px;
+      cursor: pointer;
+      font-weight: 600;
+      font-size: 15px;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+      transition: all 0.2s ease;
+      letter-spacing: -0.02em;
+      white-space: nowrap;
+      flex: 1;
+      min-width: 0;
+      padding: 14px 24px;
+    }
+
+    #gemini-automator-panel button:disabled {
+      background: #1C1C1E;
+      color: #3A3A3C;
+      cursor: not-allowed;
+      opacity: 0.5;
+    }
+
+    #gemini-automator-panel button#ga-start {
+      background: #FFD60A;
+      color: #000000;
+      box-shadow: 0 4px 12px rgba(255, 214, 10, 0.3);
+    }
+
+    #gemini-automator-panel button#ga-start:hover:not(:disabled) {
+      background: #FFDF3C;
+      transform: translateY(-1px);
+      box-shadow: 0 6px 20px rgba(255, 214, 10, 0.4);
+    }
+
+    #gemini-automator-panel button#ga-start:active:not(:disabled) {
+      transform: translateY(0);
+    }
+
+    #gemini-automator-panel button#ga-setup,
+    #gemini-automator-panel button#ga-pause {
+      background: #2C2C2E;
+      color: #FFFFFF;
+    }
+
+    #gemini-automator-panel button#ga-setup:hover:not(:disabled),
+    #gemini-automator-panel button#ga-pause:hover:not(:disabled) {
+      background: #3A3A3C;
+      transform: translateY(-1px);
+    }
+
+    #gemini-automator-panel button#ga-stop {
+      background: #2C2C2E;
+      color: #FF453A;
+    }
+
+    #gemini-automator-panel button#ga-stop:hover:not(:disabled) {
+      background: #3A3A3C;
+      transform: translateY(-1px);
+    }
+
+    #gemini-automator-panel .setting-row {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      margin: 16px 0;
+      padding: 18px 20px;
+      background: #1C1C1E;
+      border: none;
+      border-radius: 16px;
+      gap: 16px;
+    }
+
+    #gemini-automator-panel .setting-row label {
+      margin: 0;
+      color: #FFFFFF;
+      font-size: 15px;
+      font-weight: 600;
+      letter-spacing: -0.02em;
+      flex: 1;
+      min-width: 120px;
+    }
+
+    #gemini-automator-panel > div:first-of-type > div:first-child {
+      margin-bottom: 18px;
+    }
+
+    #gemini-automator-panel .status {
+      padding: 18px 20px;
+      background: #1C1C1E;
+      border: none;
+      border-radius: 16px;
+      margin-top: 20px;
+      word-break: break-word;
+    }
+
+    #gemini-automator-panel .progress {
+      font-weight: 600;
+      color: #FFD60A;
+      margin-bottom: 8px;
+      font-size: 15px;
+      letter-spacing: -0.02em;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+    }
+
+    #gemini-automator-panel .progress::before {
+      content: '';
+      width: 8px;
+      height: 8px;
+      border-radius: 50%;
+      background: #FFD60A;
+      box-shadow: 0 0 12px rgba(255, 214, 10, 0.6);
+      animation: pulse 2s ease-in-out infinite;
+    }
+
+    #gemini-automator-panel .resume-banner {
+      padding: 18px 20px;
+      background: #1C1C1E;
+      border-left: 3px solid #FFD60A;
+      border-radius: 16px;
+      margin-bottom: 18px;
+      font-size: 14px;
+      line-height: 1.5;
+    }
+
+    #gemini-automator-panel .takeover-label {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin: 12px 0 0;
+      font-size: 13px;
+      font-weight: 500;
+      color: #8E8E93;
+    }
+
+    #gemini-automator-panel button#ga-resume-run {
+      background: #FFD60A;
+      color: #000000;
+    }
+
+    #gemini-automator-panel button#ga-resume-discard {
+      background: #2C2C2E;
+      color: #FFFFFF;
+    }
+
+    #gemini-automator-panel .failed-bucket {
+      padding: 18px 20px;
+      background: #1C1C1E;
+      border-radius: 16px;
+      margin-top: 16px;
+    }
+
+    #gemini-automator-panel .failed-header {
+      font-weight: 600;
+      color: #FF453A;
+      margin-bottom: 8px;
+      font-size: 15px;
+    }
+
+    #gemini-automator-panel .failed-bucket ul {
+      list-style: none;
+      margin: 0 0 12px;
+      padding: 0;
+      max-height: 160px;
+      overflow-y: auto;
+      font-size: 13px;
+      color: #FFFFFF;
+    }
+
+    #gemini-automator-panel .failed-bucket li {
+      padding: 6px 0;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.06);
+      word-break: break-word;
+    }
+
+    #gemini-automator-panel .failed-type {
+      color: #8E8E93;
+      margin-right: 8px;
+    }
+
+    #gemini-automator-panel button#ga-requeue-failed,
+    #gemini-automator-panel button#ga-clear-failed {
+      background: #2C2C2E;
+      color: #FFFFFF;
     }
 
-    #gemini-automator-panel h2 {
-      margin: 0;
-      padding: 24px 28px;
-      font-size: 20px;
-      font-weight: 700;
+    #gemini-automator-panel .batch-buttons {
+      display: flex;
+      gap: 10px;
+      margin: 16px 0;
+    }
+
+    #gemini-automator-panel .batch-buttons button,
+    #gemini-automator-panel button#ga-clear-import,
+    #gemini-automator-panel button#ga-add-reference {
+      background: #2C2C2E;
       color: #FFFFFF;
-      letter-spacing: -0.03em;
-      border-bottom: 1px solid rgba(255, 255, 255, 0.06);
-      background: #000000;
-      cursor: move;
-      user-select: none;
-      flex-shrink: 0;
+      padding: 10px 12px;
+      font-size: 13px;
     }
 
-    #gemini-automator-panel .resize-handle {
-      position: absolute;
-      bottom: 16px;
-      right: 16px;
-      width: 16px;
-      height: 16px;
-      cursor: nwse-resize;
-      background: rgba(255, 255, 255, 0.08);
-      border-radius: 3px;
-      z-index: 10;
-      transition: all 0.2s ease;
+    #gemini-automator-panel .import-info {
+      align-items: center;
+      justify-content: space-between;
+      gap: 12px;
+      margin-bottom: 16px;
+      font-size: 13px;
+      color: #FFD60A;
     }
 
-    #gemini-automator-panel .resize-handle::before {
-      content: '⋮⋮';
-      position: absolute;
-      top: 50%;
-      left: 50%;
-      transform: translate(-50%, -50%) rotate(-45deg);
-      font-size: 8px;
-      color: rgba(255, 255, 255, 0.4);
-      letter-spacing: -2px;
+    #gemini-automator-panel button#ga-clear-import,
+    #gemini-automator-panel button#ga-add-reference {
+      flex: 0 0 auto;
     }
 
-    #gemini-automator-panel .resize-handle:hover {
-      background: rgba(255, 255, 255, 0.15);
+    #gemini-automator-panel .references-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      margin-bottom: 16px;
     }
 
-    #gemini-automator-panel > div:first-of-type {
-      padding: 24px 32px 32px 28px;
-      overflow-y: auto;
-      overflow-x: hidden;
-      flex: 1;
-      min-height: 0;
-      background: #0A0A0A;
+    #gemini-automator-panel .references-header label {
+      margin-bottom: 0;
     }
 
-    #gemini-automator-panel label {
-      display: block;
-      font-size: 15px;
-      font-weight: 600;
-      color: #FFFFFF;
-      margin-bottom: 10px;
-      letter-spacing: -0.02em;
-      line-height: 1.3;
+    #gemini-automator-panel .reference-list {
+      flex-wrap: wrap;
+      gap: 6px;
+      margin: -8px 0 16px;
+      font-size: 12px;
     }
 
-    #gemini-automator-panel textarea {
-      width: 100%;
-      min-height: 120px;
-      max-height: 240px;
+    #gemini-automator-panel .reference-list span {
+      display: inline-flex;
+      align-items: center;
+      gap: 2px;
+      padding: 4px 4px 4px 10px;
       background: #1C1C1E;
-      border: none;
-      border-radius: 16px;
-      color: #FFFFFF;
-      padding: 16px 18px;
-      font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
-      font-size: 14px;
-      resize: vertical;
-      line-height: 1.5;
-      transition: all 0.2s ease;
-      box-sizing: border-box;
+      border-radius: 999px;
     }
 
-    #gemini-automator-panel textarea:focus {
-      outline: none;
-      background: #2C2C2E;
-      box-shadow: 0 0 0 2px rgba(255, 214, 10, 0.3);
+    #gemini-automator-panel .reference-list button {
+      flex: 0 0 auto;
+      padding: 0 6px;
+      background: transparent;
+      color: #8E8E93;
+      font-size: 12px;
     }
 
-    #gemini-automator-panel textarea::placeholder {
+    #gemini-automator-panel textarea:disabled {
+      opacity: 0.4;
+    }
+
+    #gemini-automator-panel .status > div:not(.progress) {
       color: #8E8E93;
+      font-size: 13px;
+      line-height: 1.5;
+      word-wrap: break-word;
     }
 
-    #gemini-automator-panel input[type="number"] {
-      background: #1C1C1E;
+    #gemini-automator-panel #ga-schedule-status {
+      margin-top: 6px;
+      color: #FFD60A;
+    }
+
+    #gemini-automator-panel #ga-usage {
+      margin-top: 6px;
+      font-size: 12px;
+    }
+
+    .toggle-panel {
+      position: fixed;
+      bottom: 28px;
+      right: 28px;
+      background: #FFD60A;
       border: none;
-      border-radius: 12px;
-      color: #FFFFFF;
-      padding: 12px 10px;
-      text-align: center;
-      font-family: 'Inter', sans-serif;
-      font-size: 15px;
-      font-weight: 600;
+      border-radius: 50%;
+      width: 64px;
+      height: 64px;
+      cursor: pointer;
+      z-index: 999999;
+      color: #000000;
+      font-size: 28px;
       transition: all 0.2s ease;
-      box-sizing: border-box;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      box-shadow: 0 8px 24px rgba(255, 214, 10, 0.4);
+      animation: slideIn 0.4s cubic-bezier(0.16, 1, 0.3, 1);
     }
 
-    #gemini-automator-panel input[type="number"]:focus {
-      outline: none;
-      background: #2C2C2E;
-      box-shadow: 0 0 0 2px rgba(255, 214, 10, 0.3);
+    .toggle-panel:hover {
+      transform: translateY(-2px) scale(1.05);
+      box-shadow: 0 12px 32px rgba(255, 214, 10, 0.5);
+      background: #FFDF3C;
     }
 
-    #gemini-automator-panel input[type="checkbox"] {
-      width: 51px;
-      height: 31px;
-      appearance: none;
-      background: #3A3A3C;
-      border-radius: 31px;
-      position: relative;
-      cursor: pointer;
-      transition: all 0.25s ease;
-      border: none;
+    .toggle-panel:active {
+      transform: translateY(0) scale(1);
     }
 
-    #gemini-automator-panel input[type="checkbox"]:checked {
-      background: #FFD60A;
+    .ga-modal {
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.6);
+      z-index: 1000000;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+      animation: slideIn 0.2s cubic-bezier(0.16, 1, 0.3, 1);
     }
 
-    #gemini-automator-panel input[type="checkbox"]::before {
-      content: '';
-      position: absolute;
-      width: 27px;
-      height: 27px;
-      border-radius: 50%;
-      background: #FFFFFF;
-      top: 2px;
-      left: 2px;
-      transition: all 0.25s ease;
-      box-shadow: 0 3px 8px rgba(0, 0, 0, 0.4);
+    .ga-modal-dialog {
+      background: #0A0A0A;
+      color: #FFFFFF;
+      border-radius: 24px;
+      width: min(720px, calc(100vw - 40px));
+      max-height: calc(100vh - 80px);
+      display: flex;
+      flex-direction: column;
+      overflow: hidden;
+      box-shadow: 0 20px 60px rgba(0, 0, 0, 0.9), 0 0 0 1px rgba(255, 255, 255, 0.05);
     }
 
-    #gemini-automator-panel input[type="checkbox"]:checked::before {
-      left: 22px;
+    .ga-modal-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 20px 24px;
+      background: #000000;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.06);
     }
 
-    #gemini-automator-panel button {
+    .ga-modal-header h3 {
+      margin: 0;
+      font-size: 18px;
+      font-weight: 700;
+      letter-spacing: -0.02em;
+    }
+
+    .ga-modal-body {
+      padding: 20px 24px;
+      overflow-y: auto;
+      font-size: 14px;
+      line-height: 1.5;
+    }
+
+    .ga-modal button {
       border: none;
       border-radius: 999px;
       cursor: pointer;
+      font-family: inherit;
       font-weight: 600;
-      font-size: 15px;
-      font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
-      transition: all 0.2s ease;
-      letter-spacing: -0.02em;
-      white-space: nowrap;
-      flex: 1;
-      min-width: 0;
-      padding: 14px 24px;
+      font-size: 13px;
+      padding: 10px 16px;
+      background: #2C2C2E;
+      color: #FFFFFF;
     }
 
-    #gemini-automator-panel button:disabled {
-      background: #1C1C1E;
-      color: #3A3A3C;
+    .ga-modal button:hover:not(:disabled) {
+      background: #3A3A3C;
+    }
+
+    .ga-modal button:disabled {
+      opacity: 0.4;
       cursor: not-allowed;
-      opacity: 0.5;
     }
 
-    #gemini-automator-panel button#ga-start {
-      background: #FFD60A;
-      color: #000000;
-      box-shadow: 0 4px 12px rgba(255, 214, 10, 0.3);
+    .ga-modal-actions {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 10px;
+      margin-bottom: 16px;
     }
 
-    #gemini-automator-panel button#ga-start:hover:not(:disabled) {
-      background: #FFDF3C;
-      transform: translateY(-1px);
-      box-shadow: 0 6px 20px rgba(255, 214, 10, 0.4);
+    .ga-field {
+      display: block;
+      font-weight: 600;
+      margin-bottom: 14px;
     }
 
-    #gemini-automator-panel button#ga-start:active:not(:disabled) {
-      transform: translateY(0);
+    .ga-field input,
+    .ga-field select,
+    .ga-field textarea {
+      display: block;
+      width: 100%;
+      margin-top: 6px;
+      padding: 10px 12px;
+      background: #1C1C1E;
+      color: #FFFFFF;
+      border: none;
+      border-radius: 12px;
+      font-family: inherit;
+      font-size: 14px;
+      box-sizing: border-box;
     }
 
-    #gemini-automator-panel button#ga-setup,
-    #gemini-automator-panel button#ga-pause {
+    .ga-modal .ga-modal-actions {
+      margin-top: 16px;
+    }
+
+    .ga-history-item {
+      padding: 14px 16px;
+      background: #1C1C1E;
+      border-radius: 16px;
+      margin-bottom: 10px;
+      cursor: pointer;
+    }
+
+    .ga-history-item:hover {
       background: #2C2C2E;
-      color: #FFFFFF;
     }
 
-    #gemini-automator-panel button#ga-setup:hover:not(:disabled),
-    #gemini-automator-panel button#ga-pause:hover:not(:disabled) {
-      background: #3A3A3C;
-      transform: translateY(-1px);
+    .ga-history-title {
+      font-weight: 600;
+    }
+
+    .ga-history-meta {
+      color: #8E8E93;
+      font-size: 13px;
+    }
+
+    .ga-history-prompts {
+      margin: 16px 0;
+      padding-left: 24px;
+      font-size: 13px;
+    }
+
+    .ga-history-prompts .status-failed {
+      color: #FF453A;
+    }
+
+    .ga-history-prompts .status-pending,
+    .ga-history-prompts .status-running {
+      color: #8E8E93;
+    }
+
+    .ga-diagnostics {
+      margin: 6px 0 16px;
+      padding-left: 0;
+      list-style: none;
+      font-size: 13px;
+      word-break: break-all;
+    }
+
+    .ga-diagnostics .status-ok {
+      color: #30D158;
     }
 
-    #gemini-automator-panel button#ga-stop {
-      background: #2C2C2E;
+    .ga-diagnostics .status-failed {
       color: #FF453A;
     }
 
-    #gemini-automator-panel button#ga-stop:hover:not(:disabled) {
-      background: #3A3A3C;
-      transform: translateY(-1px);
+    .ga-diagnostics .status-skipped {
+      color: #8E8E93;
     }
 
-    #gemini-automator-panel .setting-row {
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
-      margin: 16px 0;
-      padding: 18px 20px;
+    .ga-diagnostics-raw {
+      width: 100%;
+      height: 200px;
+      margin-top: 8px;
       background: #1C1C1E;
+      color: #FFFFFF;
       border: none;
-      border-radius: 16px;
-      gap: 16px;
+      border-radius: 12px;
+      font-family: monospace;
+      font-size: 12px;
+      box-sizing: border-box;
     }
 
-    #gemini-automator-panel .setting-row label {
-      margin: 0;
+    .ga-palette-input {
+      width: 100%;
+      padding: 12px 14px;
+      background: #1C1C1E;
       color: #FFFFFF;
+      border: none;
+      border-radius: 12px;
+      font-family: inherit;
       font-size: 15px;
-      font-weight: 600;
-      letter-spacing: -0.02em;
-      flex: 1;
-      min-width: 120px;
-    }
-
-    #gemini-automator-panel > div:first-of-type > div:first-child {
-      margin-bottom: 18px;
+      box-sizing: border-box;
+      outline: none;
     }
 
-    #gemini-automator-panel .status {
-      padding: 18px 20px;
-      background: #1C1C1E;
-      border: none;
-      border-radius: 16px;
-      margin-top: 20px;
-      word-break: break-word;
+    .ga-palette-list {
+      list-style: none;
+      margin: 10px 0 0;
+      padding: 0;
     }
 
-    #gemini-automator-panel .progress {
-      font-weight: 600;
-      color: #FFD60A;
-      margin-bottom: 8px;
-      font-size: 15px;
-      letter-spacing: -0.02em;
+    .ga-palette-list li {
       display: flex;
-      align-items: center;
-      gap: 10px;
+      justify-content: space-between;
+      gap: 12px;
+      padding: 10px 14px;
+      border-radius: 12px;
+      cursor: pointer;
+      font-size: 14px;
     }
 
-    #gemini-automator-panel .progress::before {
-      content: '';
-      width: 8px;
-      height: 8px;
-      border-radius: 50%;
-      background: #FFD60A;
-      box-shadow: 0 0 12px rgba(255, 214, 10, 0.6);
-      animation: pulse 2s ease-in-out infinite;
+    .ga-palette-list li.selected,
+    .ga-palette-list li:hover {
+      background: #2C2C2E;
     }
 
-    #gemini-automator-panel .status > div:last-child {
+    .ga-palette-list kbd {
       color: #8E8E93;
-      font-size: 13px;
-      line-height: 1.5;
-      word-wrap: break-word;
-    }
-
-    .toggle-panel {
-      position: fixed;
-      bottom: 28px;
-      right: 28px;
-      background: #FFD60A;
-      border: none;
-      border-radius: 50%;
-      width: 64px;
-      height: 64px;
-      cursor: pointer;
-      z-index: 999999;
-      color: #000000;
-      font-size: 28px;
-      transition: all 0.2s ease;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      box-shadow: 0 8px 24px rgba(255, 214, 10, 0.4);
-      animation: slideIn 0.4s cubic-bezier(0.16, 1, 0.3, 1);
+      font-family: inherit;
+      font-size: 12px;
     }
 
-    .toggle-panel:hover {
-      transform: translateY(-2px) scale(1.05);
-      box-shadow: 0 12px 32px rgba(255, 214, 10, 0.5);
-      background: #FFDF3C;
+    .ga-thumbnails {
+      margin: 6px 0 14px;
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(96px, 1fr));
+      gap: 8px;
     }
 
-    .toggle-panel:active {
-      transform: translateY(0) scale(1);
+    .ga-thumbnails img {
+      width: 100%;
+      aspect-ratio: 1;
+      object-fit: cover;
+      border-radius: 8px;
+      cursor: pointer;
     }
 
     /* Scrollbar styling */
@@ -945,17 +4102,499 @@
   // AUTOMATION STATE
   // ============================================
 
-  // Load watermark removal preference from localStorage
-  const savedWatermarkPref = localStorage.getItem('gemini-automator-remove-watermark');
-  const removeWatermarkDefault = savedWatermarkPref !== null ? savedWatermarkPref === 'true' : true;
+  // Load watermark removal preference from localStorage
+  const savedWatermarkPref = localStorage.getItem('gemini-automator-remove-watermark');
+  const removeWatermarkDefault = savedWatermarkPref !== null ? savedWatermarkPref === 'true' : true;
+
+  const state = {
+    batch: null,
+    runImageCount: 0,
+    autoSave: localStorage.getItem('gemini-automator-auto-save') === 'true',
+    keepImages: localStorage.getItem('gemini-automator-keep-images') !== 'false',
+    isRunning: false,
+    // Bumped by every start and stop, so a loop left over from an earlier run can tell it's stale
+    runToken: 0,
+    isPaused: false,
+    queue: [],
+    currentIndex: 0,
+    importedRows: null,
+    appliedSetup: null,
+    failed: [],
+    cooldownUntil: null,
+    promptsInChat: 0,
+    profile: null,
+    removeWatermark: removeWatermarkDefault,
+    // Opt-in: a fill on a misplaced or falsely detected logo would invent detail
+    inpaintWatermark: localStorage.getItem('gemini-automator-inpaint') === 'true'
+  };
+
+  // ============================================
+  // QUEUE PERSISTENCE
+  // ============================================
+
+  const QUEUE_STORAGE_KEY = 'gemini-automator-queue';
+
+  const JOB_SETTINGS = ['filename', 'delay', 'tool', 'model', 'reference', 'promptIndex', 'variation', 'variations'];
+
+  const createJob = (prompt, settings = {}) => ({ prompt, status: 'pending', attempts: 0, ...settings });
+
+  const jobSettings = (job) => Object.fromEntries(
+    JOB_SETTINGS.filter(key => job[key] !== undefined).map(key => [key, job[key]])
+  );
+
+  const isUnfinished = (job) => job.status === 'pending' || job.status === 'running';
+
+  const firstUnfinishedIndex = (queue) => queue.findIndex(isUnfinished);
+
+  /**
+   * Save queue, per-prompt status and current index to localStorage
+   */
+  function saveQueue() {
+    try {
+      localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify({
+        batch: state.batch,
+        profile: state.profile,
+        queue: state.queue,
+        currentIndex: state.currentIndex,
+        savedAt: Date.now()
+      }));
+    } catch (error) {
+      console.warn('[Gemini Automator] Failed to save queue:', error);
+    }
+  }
+
+  /**
+   * Load saved queue from localStorage (null if nothing left to resume)
+   */
+  function loadSavedQueue() {
+    const saved = localStorage.getItem(QUEUE_STORAGE_KEY);
+    if (!saved) return null;
+    try {
+      const { batch, profile, queue, savedAt } = JSON.parse(saved);
+      if (!Array.isArray(queue) || firstUnfinishedIndex(queue) === -1) return null;
+      // A prompt that was running when the page died never finished
+      queue.forEach(job => {
+        if (job.status === 'running') job.status = 'pending';
+      });
+      return { batch, profile, queue, savedAt };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function clearSavedQueue() {
+    localStorage.removeItem(QUEUE_STORAGE_KEY);
+  }
+
+  // ============================================
+  // GENERATION BUDGET
+  // ============================================
+
+  const GENERATIONS_KEY = 'gemini-automator-generations';
+  const BUDGET_KEY = 'gemini-automator-budget';
+  const HOUR = 3600000;
+  const DAY = 24 * HOUR;
+  const GENERATION_RETENTION = 7 * DAY;
+
+  /**
+   * Timestamps of successful generations, shared by all tabs and sessions
+   */
+  function loadGenerations() {
+    try {
+      const log = JSON.parse(localStorage.getItem(GENERATIONS_KEY));
+      return Array.isArray(log) ? log : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function recordGeneration(at = Date.now()) {
+    const log = loadGenerations().filter(time => time > at - GENERATION_RETENTION);
+    log.push(at);
+    localStorage.setItem(GENERATIONS_KEY, JSON.stringify(log));
+    updateUsageStatus();
+  }
+
+  const countGenerationsSince = (since, log = loadGenerations()) =>
+    log.filter(time => time >= since).length;
+
+  function loadBudget() {
+    try {
+      const { hourly = 0, daily = 0 } = JSON.parse(localStorage.getItem(BUDGET_KEY)) || {};
+      return { hourly, daily };
+    } catch (error) {
+      return { hourly: 0, daily: 0 };
+    }
+  }
+
+  function saveBudget(budget) {
+    localStorage.setItem(BUDGET_KEY, JSON.stringify(budget));
+    updateUsageStatus();
+  }
+
+  /**
+   * The budget one more generation would exceed, and when enough of the
+   * window frees up to continue (null = within budget)
+   */
+  function getBudgetHold(budget = loadBudget(), now = Date.now(), log = loadGenerations()) {
+    const windows = [
+      { limit: budget.hourly, span: HOUR, label: 'hour' },
+      { limit: budget.daily, span: DAY, label: '24 hours' }
+    ];
+    for (const { limit, span, label } of windows) {
+      if (!(limit > 0)) continue;
+      const recent = log.filter(time => time > now - span).sort((a, b) => a - b);
+      if (recent.length + 1 > limit) {
+        return { label, used: recent.length, limit, until: recent[recent.length - limit] + span };
+      }
+    }
+    return null;
+  }
+
+  function updateUsageStatus() {
+    const usage = document.getElementById('ga-usage');
+    if (!usage) return;
+    const now = Date.now();
+    const log = loadGenerations();
+    const budget = loadBudget();
+    const count = (since, limit) => `${countGenerationsSince(since, log)}${limit > 0 ? `/${limit}` : ''}`;
+    usage.textContent = `Generations: ${count(now - HOUR, budget.hourly)} last hour · ` +
+      `${count(now - DAY, budget.daily)} last 24h`;
+  }
+
+  /**
+   * Pause until the budget allows another generation
+   */
+  function startBudgetPause(hold) {
+    state.isPaused = true;
+    state.cooldownUntil = hold.until;
+    document.getElementById('ga-pause').textContent = 'Resume';
+    updateStatus(`Budget reached: ${hold.used}/${hold.limit} generations in the last ${hold.label}. ` +
+      `Paused until ${new Date(hold.until).toLocaleTimeString()}.`);
+    console.log('[Gemini Automator] Generation budget reached, pausing');
+  }
+
+  // ============================================
+  // SCHEDULER
+  // ============================================
+
+  const SCHEDULE_KEY = 'gemini-automator-schedule';
+
+  const DEFAULT_SCHEDULE = {
+    enabled: false,
+    startAt: '',      // datetime-local value, e.g. "2026-10-20T22:00"
+    windowStart: '',  // "HH:MM", may wrap past midnight
+    windowEnd: '',
+    dailyCap: 0,      // generations per calendar day, 0 = unlimited
+    day: '',
+    generatedToday: 0
+  };
+
+  function loadSchedule() {
+    try {
+      return { ...DEFAULT_SCHEDULE, ...JSON.parse(localStorage.getItem(SCHEDULE_KEY)) };
+    } catch (error) {
+      return { ...DEFAULT_SCHEDULE };
+    }
+  }
+
+  function saveSchedule(schedule) {
+    localStorage.setItem(SCHEDULE_KEY, JSON.stringify(schedule));
+    updateScheduleStatus();
+  }
+
+  const toDateKey = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+
+  const parseTimeOfDay = (value) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+  };
+
+  const generationsToday = (schedule, now = new Date()) =>
+    schedule.day === toDateKey(now) ? schedule.generatedToday : 0;
+
+  /**
+   * Count a finished prompt against today's cap
+   */
+  function countScheduledGeneration() {
+    const schedule = loadSchedule();
+    const now = new Date();
+    schedule.generatedToday = generationsToday(schedule, now) + 1;
+    schedule.day = toDateKey(now);
+    saveSchedule(schedule);
+  }
+
+  /**
+   * First moment at or after `from` inside the daily active window
+   */
+  function nextWindowStart(schedule, from) {
+    const start = parseTimeOfDay(schedule.windowStart);
+    const end = parseTimeOfDay(schedule.windowEnd);
+    if (start === null || end === null || start === end) return from;
+    const minutes = from.getHours() * 60 + from.getMinutes();
+    const inside = start < end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+    if (inside) return from;
+    const next = new Date(from);
+    next.setHours(Math.floor(start / 60), start % 60, 0, 0);
+    if (next <= from) next.setDate(next.getDate() + 1);
+    return next;
+  }
+
+  /**
+   * Why the schedule holds the run back right now and until when (null = may run)
+   */
+  function getScheduleHold(schedule, now = new Date()) {
+    if (!schedule.enabled) return null;
+    const startAt = schedule.startAt ? new Date(schedule.startAt) : null;
+    if (startAt && startAt > now) {
+      return { reason: 'Scheduled start', until: nextWindowStart(schedule, startAt) };
+    }
+    if (schedule.dailyCap > 0 && generationsToday(schedule, now) >= schedule.dailyCap) {
+      const tomorrow = new Date(now);
+      tomorrow.setHours(24, 0, 0, 0);
+      return { reason: `Daily cap of ${schedule.dailyCap} reached`, until: nextWindowStart(schedule, tomorrow) };
+    }
+    const windowStart = nextWindowStart(schedule, now);
+    if (windowStart > now) return { reason: 'Outside active hours', until: windowStart };
+    return null;
+  }
+
+  const formatScheduleTime = (date) => {
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return toDateKey(date) === toDateKey(new Date())
+      ? time
+      : `${date.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })} ${time}`;
+  };
+
+  /**
+   * One-line summary of the schedule and its next action
+   */
+  function describeSchedule(schedule, now = new Date()) {
+    if (!schedule.enabled) return 'Off';
+    const parts = [];
+    const hold = getScheduleHold(schedule, now);
+    if (hold) {
+      parts.push(`${hold.reason}, next run ${formatScheduleTime(hold.until)}`);
+    } else if (schedule.windowStart && schedule.windowEnd && schedule.windowStart !== schedule.windowEnd) {
+      parts.push(`Active until ${schedule.windowEnd}`);
+    } else {
+      parts.push('Active');
+    }
+    if (schedule.dailyCap > 0) parts.push(`${generationsToday(schedule, now)}/${schedule.dailyCap} today`);
+    return parts.join(' · ');
+  }
+
+  function updateScheduleStatus() {
+    const schedule = loadSchedule();
+    const summary = document.getElementById('ga-schedule-summary');
+    const status = document.getElementById('ga-schedule-status');
+    if (!summary || !status) return;
+    summary.textContent = schedule.enabled ? 'On' : 'Off';
+    status.textContent = `Schedule: ${describeSchedule(schedule)}`;
+    status.style.display = schedule.enabled ? 'block' : 'none';
+  }
+
+  /**
+   * Hold the run until the schedule allows the next generation
+   */
+  async function waitForSchedule() {
+    while (state.isRunning) {
+      const hold = getScheduleHold(loadSchedule());
+      if (!hold) return;
+      updateStatus(`${hold.reason}, waiting until ${formatScheduleTime(hold.until)}...`);
+      updateScheduleStatus();
+      await sleep(1000);
+    }
+  }
+
+  /**
+   * Edit start time, active hours and daily cap
+   */
+  function openScheduleEditor() {
+    const schedule = loadSchedule();
+    const body = openModal('Schedule');
+
+    const enabledInput = document.createElement('input');
+    enabledInput.type = 'checkbox';
+    enabledInput.checked = schedule.enabled;
+    const enabledLabel = document.createElement('label');
+    enabledLabel.className = 'ga-field';
+    enabledLabel.appendChild(enabledInput);
+    enabledLabel.appendChild(document.createTextNode(' Use schedule'));
+
+    const startInput = document.createElement('input');
+    startInput.type = 'datetime-local';
+    startInput.value = schedule.startAt;
+    const windowStartInput = document.createElement('input');
+    windowStartInput.type = 'time';
+    windowStartInput.value = schedule.windowStart;
+    const windowEndInput = document.createElement('input');
+    windowEndInput.type = 'time';
+    windowEndInput.value = schedule.windowEnd;
+    const capInput = document.createElement('input');
+    capInput.type = 'number';
+    capInput.min = '0';
+    capInput.value = schedule.dailyCap;
+
+    const hint = document.createElement('div');
+    hint.className = 'ga-history-meta';
+    hint.textContent = `Leave fields empty for no limit. ${generationsToday(schedule)} generations counted today.`;
+
+    const actions = document.createElement('div');
+    actions.className = 'ga-modal-actions';
+    actions.appendChild(createModalButton('Save', () => {
+      saveSchedule({
+        // Reloaded, so generations counted while the editor was open are kept
+        ...loadSchedule(),
+        enabled: enabledInput.checked,
+        startAt: startInput.value,
+        windowStart: windowStartInput.value,
+        windowEnd: windowEndInput.value,
+        dailyCap: Math.max(0, parseInt(capInput.value) || 0)
+      });
+      closeModal();
+      updateStatus(`Schedule ${enabledInput.checked ? 'saved' : 'off'}`);
+    }));
+    actions.appendChild(createModalButton('Reset today\'s count', () => {
+      saveSchedule({ ...loadSchedule(), day: '', generatedToday: 0 });
+      hint.textContent = 'Today\'s count reset.';
+    }));
+
+    body.appendChild(enabledLabel);
+    body.appendChild(createField('Start at', startInput));
+    body.appendChild(createField('Active from', windowStartInput));
+    body.appendChild(createField('Active until', windowEndInput));
+    body.appendChild(createField('Daily cap (generations)', capInput));
+    body.appendChild(hint);
+    body.appendChild(actions);
+  }
+
+  // ============================================
+  // CROSS-TAB COORDINATION
+  // ============================================
+
+  // Only the tab holding this Web Lock may run a batch; it is released
+  // automatically when that tab closes
+  const RUN_LOCK = 'gemini-automator-run';
+  const TAB_ID = Math.random().toString(36).slice(2);
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('gemini-automator') : null;
+
+  let runLockRelease = null;
+  let takeoverController = null;
+
+  const ownsRunLock = () => runLockRelease !== null;
+
+  /**
+   * Take the run lock if no other tab holds it
+   */
+  function acquireRunLock() {
+    if (ownsRunLock()) return Promise.resolve(true);
+    if (!navigator.locks) {
+      // No coordination available: behave like a single tab
+      runLockRelease = () => {};
+      return Promise.resolve(true);
+    }
+    return new Promise(resolve => {
+      navigator.locks.request(RUN_LOCK, { ifAvailable: true }, (lock) => {
+        if (!lock) {
+          resolve(false);
+          return null;
+        }
+        return new Promise(release => {
+          runLockRelease = release;
+          resolve(true);
+        });
+      });
+    });
+  }
+
+  function releaseRunLock() {
+    if (!runLockRelease) return;
+    runLockRelease();
+    runLockRelease = null;
+  }
+
+  /**
+   * Whether a run holds the lock in another tab
+   */
+  async function isRunActiveElsewhere() {
+    if (!navigator.locks || ownsRunLock()) return false;
+    const { held = [] } = await navigator.locks.query();
+    return held.some(lock => lock.name === RUN_LOCK);
+  }
+
+  const postToTabs = (message) => channel?.postMessage({ ...message, tabId: TAB_ID });
+
+  /**
+   * Tell other tabs how the run in this tab is going
+   */
+  function broadcastRunState() {
+    if (!state.isRunning || !ownsRunLock()) return;
+    postToTabs({
+      type: 'state',
+      batch: state.batch,
+      progress: document.getElementById('ga-progress')?.textContent,
+      status: document.getElementById('ga-status')?.textContent
+    });
+  }
+
+  function showRemoteRun({ batch, progress, status }) {
+    const banner = document.getElementById('ga-remote-run');
+    if (!banner) return;
+    document.getElementById('ga-remote-run-text').textContent =
+      `Batch ${batch} is running in another tab. ${progress || ''}${status ? ` · ${status}` : ''}`;
+    banner.style.display = 'block';
+    // A run elsewhere owns the saved queue, so it can't be resumed here
+    document.getElementById('ga-resume').style.display = 'none';
+  }
+
+  function hideRemoteRun() {
+    const banner = document.getElementById('ga-remote-run');
+    if (banner) banner.style.display = 'none';
+  }
+
+  /**
+   * Wait for the running tab to go away, then continue its saved queue here
+   */
+  function requestTakeover() {
+    if (!navigator.locks || takeoverController) return;
+    takeoverController = new AbortController();
+    navigator.locks.request(RUN_LOCK, { signal: takeoverController.signal }, () => {
+      takeoverController = null;
+      document.getElementById('ga-takeover').checked = false;
+      // A run that finished normally clears its queue: nothing to take over
+      const saved = state.isRunning ? null : loadSavedQueue();
+      if (!saved) return null;
+      hideRemoteRun();
+      console.log('[Gemini Automator] Running tab closed, taking over its queue');
+      return new Promise(release => {
+        runLockRelease = release;
+        updateStatus('The other tab closed, taking over its queue...');
+        resumeAutomation(saved);
+      });
+    }).catch(error => {
+      if (error.name !== 'AbortError') console.warn('[Gemini Automator] Takeover failed:', error);
+    });
+  }
+
+  function cancelTakeover() {
+    takeoverController?.abort();
+    takeoverController = null;
+  }
 
-  const state = {
-    isRunning: false,
-    isPaused: false,
-    prompts: [],
-    currentIndex: 0,
-    removeWatermark: removeWatermarkDefault
-  };
+  if (channel) {
+    channel.onmessage = ({ data }) => {
+      if (data.type === 'hello') broadcastRunState();
+      else if (data.type === 'state') showRemoteRun(data);
+      else if (data.type === 'ended') hideRemoteRun();
+    };
+  }
 
   /**
    * Create UI Panel
@@ -982,6 +4621,47 @@
     resizeHandle.className = 'resize-handle';
     panel.appendChild(resizeHandle);
 
+    // Resume previous run (shown by init() when a saved queue exists)
+    const resumeDiv = document.createElement('div');
+    resumeDiv.id = 'ga-resume';
+    resumeDiv.className = 'resume-banner';
+    resumeDiv.style.display = 'none';
+    const resumeText = document.createElement('div');
+    resumeText.id = 'ga-resume-text';
+    const resumeButtons = document.createElement('div');
+    resumeButtons.style.display = 'flex';
+    resumeButtons.style.gap = '10px';
+    resumeButtons.style.marginTop = '12px';
+    const resumeBtn = document.createElement('button');
+    resumeBtn.id = 'ga-resume-run';
+    resumeBtn.textContent = 'Resume';
+    const discardBtn = document.createElement('button');
+    discardBtn.id = 'ga-resume-discard';
+    discardBtn.textContent = 'Discard';
+    resumeButtons.appendChild(resumeBtn);
+    resumeButtons.appendChild(discardBtn);
+    resumeDiv.appendChild(resumeText);
+    resumeDiv.appendChild(resumeButtons);
+    panel.appendChild(resumeDiv);
+
+    // Run active in another tab (filled in from its broadcasts)
+    const remoteRunDiv = document.createElement('div');
+    remoteRunDiv.id = 'ga-remote-run';
+    remoteRunDiv.className = 'resume-banner';
+    remoteRunDiv.style.display = 'none';
+    const remoteRunText = document.createElement('div');
+    remoteRunText.id = 'ga-remote-run-text';
+    const takeoverLabel = document.createElement('label');
+    takeoverLabel.className = 'takeover-label';
+    const takeoverCheckbox = document.createElement('input');
+    takeoverCheckbox.type = 'checkbox';
+    takeoverCheckbox.id = 'ga-takeover';
+    takeoverLabel.appendChild(takeoverCheckbox);
+    takeoverLabel.appendChild(document.createTextNode(' Take over the queue if that tab closes'));
+    remoteRunDiv.appendChild(remoteRunText);
+    remoteRunDiv.appendChild(takeoverLabel);
+    panel.appendChild(remoteRunDiv);
+
     // Prompts section
     const promptsDiv = document.createElement('div');
 
@@ -1013,18 +4693,135 @@
     promptsTextarea.id = 'ga-prompts';
     promptsTextarea.placeholder = 'Enter your prompts here, one per line...\n\nExample:\nA serene mountain landscape at sunset\nA futuristic cyberpunk cityscape\nAbstract geometric patterns with vibrant colors';
 
-    // Update counter on input
-    const updateCounter = () => {
-      const prompts = promptsTextarea.value.split('\n').filter(p => p.trim());
-      const count = prompts.length;
-      promptsCounter.textContent = `${count} prompt${count !== 1 ? 's' : ''}`;
-    };
-    promptsTextarea.addEventListener('input', updateCounter);
+    // Template variables, e.g. "style = watercolor|oil painting"
+    const variablesLabel = document.createElement('label');
+    variablesLabel.textContent = 'Variables (name = a|b):';
+    variablesLabel.style.margin = '14px 0 8px';
+    const variablesTextarea = document.createElement('textarea');
+    variablesTextarea.id = 'ga-variables';
+    variablesTextarea.style.minHeight = '60px';
+    variablesTextarea.placeholder = 'style = watercolor|oil painting\n\nUse {{style}} or {red|blue} in prompts to generate every combination';
+
+    promptsTextarea.addEventListener('input', updatePromptsCounter);
+    variablesTextarea.addEventListener('input', updatePromptsCounter);
 
     promptsDiv.appendChild(promptsHeader);
     promptsDiv.appendChild(promptsTextarea);
+    promptsDiv.appendChild(variablesLabel);
+    promptsDiv.appendChild(variablesTextarea);
     panel.appendChild(promptsDiv);
 
+    // Random sampling of expanded combinations
+    const sampleDiv = document.createElement('div');
+    sampleDiv.className = 'setting-row';
+    const sampleLabel = document.createElement('label');
+    sampleLabel.textContent = 'Random Sample (0 = all):';
+    const sampleInput = document.createElement('input');
+    sampleInput.type = 'number';
+    sampleInput.id = 'ga-sample';
+    sampleInput.value = '0';
+    sampleInput.min = '0';
+    sampleInput.style.width = '70px';
+    sampleInput.style.minWidth = '70px';
+    sampleInput.addEventListener('input', updatePromptsCounter);
+    sampleDiv.appendChild(sampleLabel);
+    sampleDiv.appendChild(sampleInput);
+    panel.appendChild(sampleDiv);
+
+    // Generations per prompt ("x4 | prompt" overrides per line)
+    const runsDiv = document.createElement('div');
+    runsDiv.className = 'setting-row';
+    const runsLabel = document.createElement('label');
+    runsLabel.textContent = 'Runs per Prompt:';
+    const runsInput = document.createElement('input');
+    runsInput.type = 'number';
+    runsInput.id = 'ga-runs-per-prompt';
+    runsInput.value = '1';
+    runsInput.min = '1';
+    runsInput.max = '100';
+    runsInput.style.width = '70px';
+    runsInput.style.minWidth = '70px';
+    runsInput.addEventListener('input', updatePromptsCounter);
+    runsDiv.appendChild(runsLabel);
+    runsDiv.appendChild(runsInput);
+    panel.appendChild(runsDiv);
+
+    // Conversation isolation
+    const newChatDiv = document.createElement('div');
+    newChatDiv.className = 'setting-row';
+    const newChatLabel = document.createElement('label');
+    newChatLabel.textContent = 'New Chat Every (0 = never):';
+    const newChatInput = document.createElement('input');
+    newChatInput.type = 'number';
+    newChatInput.id = 'ga-new-chat-every';
+    newChatInput.value = localStorage.getItem('gemini-automator-new-chat-every') || '0';
+    newChatInput.min = '0';
+    newChatInput.max = '100';
+    newChatInput.style.width = '70px';
+    newChatInput.style.minWidth = '70px';
+    newChatInput.onchange = () => localStorage.setItem('gemini-automator-new-chat-every', newChatInput.value);
+    newChatDiv.appendChild(newChatLabel);
+    newChatDiv.appendChild(newChatInput);
+    panel.appendChild(newChatDiv);
+
+    // Batch import / export (CSV or JSON rows with per-row settings)
+    const batchDiv = document.createElement('div');
+    batchDiv.className = 'batch-buttons';
+    const importInput = document.createElement('input');
+    importInput.type = 'file';
+    importInput.accept = '.csv,.json,text/csv,application/json';
+    importInput.style.display = 'none';
+    const importBtn = document.createElement('button');
+    importBtn.id = 'ga-import';
+    importBtn.textContent = 'Import';
+    const exportCsvBtn = document.createElement('button');
+    exportCsvBtn.id = 'ga-export-csv';
+    exportCsvBtn.textContent = 'Export CSV';
+    const exportJsonBtn = document.createElement('button');
+    exportJsonBtn.id = 'ga-export-json';
+    exportJsonBtn.textContent = 'Export JSON';
+    batchDiv.appendChild(importInput);
+    batchDiv.appendChild(importBtn);
+    batchDiv.appendChild(exportCsvBtn);
+    batchDiv.appendChild(exportJsonBtn);
+    panel.appendChild(batchDiv);
+
+    const importInfo = document.createElement('div');
+    importInfo.id = 'ga-import-info';
+    importInfo.className = 'import-info';
+    importInfo.style.display = 'none';
+    const importInfoText = document.createElement('span');
+    importInfoText.id = 'ga-import-info-text';
+    const clearImportBtn = document.createElement('button');
+    clearImportBtn.id = 'ga-clear-import';
+    clearImportBtn.textContent = 'Clear';
+    importInfo.appendChild(importInfoText);
+    importInfo.appendChild(clearImportBtn);
+    panel.appendChild(importInfo);
+
+    // Reference images (kept in IndexedDB, attached to lines with ref=name)
+    const referencesHeader = document.createElement('div');
+    referencesHeader.className = 'references-header';
+    const referencesLabel = document.createElement('label');
+    referencesLabel.textContent = 'Reference Images';
+    const referenceInput = document.createElement('input');
+    referenceInput.type = 'file';
+    referenceInput.accept = 'image/*';
+    referenceInput.multiple = true;
+    referenceInput.style.display = 'none';
+    const addReferenceBtn = document.createElement('button');
+    addReferenceBtn.id = 'ga-add-reference';
+    addReferenceBtn.textContent = 'Add';
+    referencesHeader.appendChild(referencesLabel);
+    referencesHeader.appendChild(referenceInput);
+    referencesHeader.appendChild(addReferenceBtn);
+    panel.appendChild(referencesHeader);
+    const referenceList = document.createElement('div');
+    referenceList.id = 'ga-reference-list';
+    referenceList.className = 'reference-list';
+    referenceList.style.display = 'none';
+    panel.appendChild(referenceList);
+
     // Delay Settings (Min and Max in one row)
     const delayDiv = document.createElement('div');
     delayDiv.className = 'setting-row';
@@ -1094,6 +4891,137 @@
     delayDesc.textContent = 'Random delay between each prompt';
     panel.appendChild(delayDesc);
 
+    // Retry policy (attempts and backoff in one row)
+    const retryDiv = document.createElement('div');
+    retryDiv.className = 'setting-row';
+    retryDiv.style.gap = '12px';
+
+    const attemptsContainer = document.createElement('div');
+    attemptsContainer.style.display = 'flex';
+    attemptsContainer.style.alignItems = 'center';
+    attemptsContainer.style.gap = '8px';
+    attemptsContainer.style.flex = '1';
+
+    const attemptsLabel = document.createElement('label');
+    attemptsLabel.textContent = 'Attempts:';
+    attemptsLabel.style.margin = '0';
+    attemptsLabel.style.fontSize = '14px';
+    attemptsLabel.style.fontWeight = '500';
+    attemptsLabel.style.whiteSpace = 'nowrap';
+    const attemptsInput = document.createElement('input');
+    attemptsInput.type = 'number';
+    attemptsInput.id = 'ga-max-attempts';
+    attemptsInput.value = '3';
+    attemptsInput.min = '1';
+    attemptsInput.max = '10';
+    attemptsInput.style.width = '55px';
+    attemptsInput.style.minWidth = '55px';
+
+    attemptsContainer.appendChild(attemptsLabel);
+    attemptsContainer.appendChild(attemptsInput);
+
+    const backoffContainer = document.createElement('div');
+    backoffContainer.style.display = 'flex';
+    backoffContainer.style.alignItems = 'center';
+    backoffContainer.style.gap = '8px';
+    backoffContainer.style.flex = '1';
+
+    const backoffLabel = document.createElement('label');
+    backoffLabel.textContent = 'Backoff:';
+    backoffLabel.style.margin = '0';
+    backoffLabel.style.fontSize = '14px';
+    backoffLabel.style.fontWeight = '500';
+    backoffLabel.style.whiteSpace = 'nowrap';
+    const backoffInput = document.createElement('input');
+    backoffInput.type = 'number';
+    backoffInput.id = 'ga-retry-backoff';
+    backoffInput.value = '5';
+    backoffInput.min = '1';
+    backoffInput.max = '300';
+    backoffInput.style.width = '55px';
+    backoffInput.style.minWidth = '55px';
+
+    backoffContainer.appendChild(backoffLabel);
+    backoffContainer.appendChild(backoffInput);
+
+    retryDiv.appendChild(attemptsContainer);
+    retryDiv.appendChild(backoffContainer);
+    panel.appendChild(retryDiv);
+
+    const retryDesc = document.createElement('div');
+    retryDesc.style.fontSize = '13px';
+    retryDesc.style.color = '#8E8E93';
+    retryDesc.style.marginTop = '-8px';
+    retryDesc.style.marginBottom = '16px';
+    retryDesc.textContent = 'Tries per prompt; backoff (sec) doubles after each failure';
+    panel.appendChild(retryDesc);
+
+    // Cool-down after usage limit messages
+    const cooldownDiv = document.createElement('div');
+    cooldownDiv.className = 'setting-row';
+    const cooldownLabel = document.createElement('label');
+    cooldownLabel.textContent = 'Limit Cool-down (min):';
+    const cooldownInput = document.createElement('input');
+    cooldownInput.type = 'number';
+    cooldownInput.id = 'ga-cooldown';
+    cooldownInput.value = '60';
+    cooldownInput.min = '0';
+    cooldownInput.max = '1440';
+    cooldownInput.style.width = '70px';
+    cooldownInput.style.minWidth = '70px';
+    cooldownDiv.appendChild(cooldownLabel);
+    cooldownDiv.appendChild(cooldownInput);
+    panel.appendChild(cooldownDiv);
+
+    // Generation budget (per hour and per 24 hours, across sessions)
+    const budget = loadBudget();
+    const budgetDiv = document.createElement('div');
+    budgetDiv.className = 'setting-row';
+    budgetDiv.style.gap = '12px';
+
+    const budgetInputs = [
+      ['Per hour:', 'ga-budget-hourly', budget.hourly],
+      ['Per day:', 'ga-budget-daily', budget.daily]
+    ].map(([text, id, value]) => {
+      const container = document.createElement('div');
+      container.style.display = 'flex';
+      container.style.alignItems = 'center';
+      container.style.gap = '8px';
+      container.style.flex = '1';
+      const label = document.createElement('label');
+      label.textContent = text;
+      label.style.margin = '0';
+      label.style.fontSize = '14px';
+      label.style.fontWeight = '500';
+      label.style.whiteSpace = 'nowrap';
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.id = id;
+      input.value = value;
+      input.min = '0';
+      input.style.width = '55px';
+      input.style.minWidth = '55px';
+      container.appendChild(label);
+      container.appendChild(input);
+      budgetDiv.appendChild(container);
+      return input;
+    });
+    panel.appendChild(budgetDiv);
+    budgetInputs.forEach(input => {
+      input.onchange = () => saveBudget({
+        hourly: Math.max(0, parseInt(budgetInputs[0].value) || 0),
+        daily: Math.max(0, parseInt(budgetInputs[1].value) || 0)
+      });
+    });
+
+    const budgetDesc = document.createElement('div');
+    budgetDesc.style.fontSize = '13px';
+    budgetDesc.style.color = '#8E8E93';
+    budgetDesc.style.marginTop = '-8px';
+    budgetDesc.style.marginBottom = '16px';
+    budgetDesc.textContent = 'Generation budget; the run pauses before exceeding it (0 = no limit)';
+    panel.appendChild(budgetDesc);
+
     // Remove Watermarks
     const watermarkDiv = document.createElement('div');
     watermarkDiv.className = 'setting-row';
@@ -1107,6 +5035,85 @@
     watermarkDiv.appendChild(watermarkCheckbox);
     panel.appendChild(watermarkDiv);
 
+    // Refill pixels the reverse blend can't recover
+    const inpaintDiv = document.createElement('div');
+    inpaintDiv.className = 'setting-row';
+    const inpaintLabel = document.createElement('label');
+    inpaintLabel.textContent = 'Inpaint Residue:';
+    const inpaintCheckbox = document.createElement('input');
+    inpaintCheckbox.type = 'checkbox';
+    inpaintCheckbox.id = 'ga-inpaint';
+    inpaintCheckbox.checked = state.inpaintWatermark;
+    inpaintCheckbox.title = 'Fill logo pixels that clip after removal (bright backgrounds) from their surroundings';
+    inpaintDiv.appendChild(inpaintLabel);
+    inpaintDiv.appendChild(inpaintCheckbox);
+    panel.appendChild(inpaintDiv);
+
+    // Auto-save every generated image
+    const autoSaveDiv = document.createElement('div');
+    autoSaveDiv.className = 'setting-row';
+    const autoSaveLabel = document.createElement('label');
+    autoSaveLabel.textContent = 'Auto-save Images:';
+    const autoSaveCheckbox = document.createElement('input');
+    autoSaveCheckbox.type = 'checkbox';
+    autoSaveCheckbox.id = 'ga-auto-save';
+    autoSaveCheckbox.checked = state.autoSave;
+    autoSaveDiv.appendChild(autoSaveLabel);
+    autoSaveDiv.appendChild(autoSaveCheckbox);
+    panel.appendChild(autoSaveDiv);
+
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.id = 'ga-filename-pattern';
+    patternInput.value = localStorage.getItem('gemini-automator-filename-pattern') || DEFAULT_FILENAME_PATTERN;
+    patternInput.placeholder = DEFAULT_FILENAME_PATTERN;
+    patternInput.title = 'Tokens: {batch} {index} {variation} {n} {prompt} {slug(prompt)} {filename} {date} {time}; pad with {index:03}';
+    panel.appendChild(patternInput);
+
+    // Store each run's images for ZIP export and history
+    const keepImagesDiv = document.createElement('div');
+    keepImagesDiv.className = 'setting-row';
+    const keepImagesLabel = document.createElement('label');
+    keepImagesLabel.textContent = 'Keep for ZIP/History:';
+    const keepImagesCheckbox = document.createElement('input');
+    keepImagesCheckbox.type = 'checkbox';
+    keepImagesCheckbox.id = 'ga-keep-images';
+    keepImagesCheckbox.checked = state.keepImages;
+    keepImagesCheckbox.title = 'Store full-size images in the browser so the run can be exported as a ZIP';
+    keepImagesDiv.appendChild(keepImagesLabel);
+    keepImagesDiv.appendChild(keepImagesCheckbox);
+    panel.appendChild(keepImagesDiv);
+
+    // Setup profile used by the Setup button and attached to each batch
+    const profileDiv = document.createElement('div');
+    profileDiv.className = 'setting-row';
+    const profileLabel = document.createElement('label');
+    profileLabel.textContent = 'Profile:';
+    const profileSelect = document.createElement('select');
+    profileSelect.id = 'ga-profile';
+    const editProfileBtn = document.createElement('button');
+    editProfileBtn.id = 'ga-edit-profile';
+    editProfileBtn.textContent = 'Edit';
+    profileDiv.appendChild(profileLabel);
+    profileDiv.appendChild(profileSelect);
+    profileDiv.appendChild(editProfileBtn);
+    panel.appendChild(profileDiv);
+
+    // Scheduler: start time, active hours, daily cap
+    const scheduleDiv = document.createElement('div');
+    scheduleDiv.className = 'setting-row';
+    const scheduleLabel = document.createElement('label');
+    scheduleLabel.textContent = 'Schedule:';
+    const scheduleSummary = document.createElement('span');
+    scheduleSummary.id = 'ga-schedule-summary';
+    const editScheduleBtn = document.createElement('button');
+    editScheduleBtn.id = 'ga-edit-schedule';
+    editScheduleBtn.textContent = 'Edit';
+    scheduleDiv.appendChild(scheduleLabel);
+    scheduleDiv.appendChild(scheduleSummary);
+    scheduleDiv.appendChild(editScheduleBtn);
+    panel.appendChild(scheduleDiv);
+
     // Buttons (2x2 grid: Setup/Start, Pause/Stop)
     const buttonsDiv = document.createElement('div');
     buttonsDiv.style.display = 'grid';
@@ -1135,6 +5142,24 @@
     buttonsDiv.appendChild(stopBtn);
     panel.appendChild(buttonsDiv);
 
+    // Run export
+    const exportDiv = document.createElement('div');
+    exportDiv.className = 'batch-buttons';
+    const exportZipBtn = document.createElement('button');
+    exportZipBtn.id = 'ga-export-zip';
+    exportZipBtn.textContent = 'Export ZIP';
+    exportZipBtn.disabled = true;
+    const historyBtn = document.createElement('button');
+    historyBtn.id = 'ga-history';
+    historyBtn.textContent = 'History';
+    const diagnoseBtn = document.createElement('button');
+    diagnoseBtn.id = 'ga-diagnose';
+    diagnoseBtn.textContent = 'Diagnose';
+    exportDiv.appendChild(exportZipBtn);
+    exportDiv.appendChild(historyBtn);
+    exportDiv.appendChild(diagnoseBtn);
+    panel.appendChild(exportDiv);
+
     // Status
     const statusDiv = document.createElement('div');
     statusDiv.className = 'status';
@@ -1144,10 +5169,43 @@
     progressDiv.textContent = 'Ready';
     const statusText = document.createElement('div');
     statusText.id = 'ga-status';
+    const scheduleStatus = document.createElement('div');
+    scheduleStatus.id = 'ga-schedule-status';
+    scheduleStatus.style.display = 'none';
+    const usageStatus = document.createElement('div');
+    usageStatus.id = 'ga-usage';
     statusDiv.appendChild(progressDiv);
     statusDiv.appendChild(statusText);
+    statusDiv.appendChild(scheduleStatus);
+    statusDiv.appendChild(usageStatus);
     panel.appendChild(statusDiv);
 
+    // Failed prompts (filled in when a run ends)
+    const failedDiv = document.createElement('div');
+    failedDiv.id = 'ga-failed';
+    failedDiv.className = 'failed-bucket';
+    failedDiv.style.display = 'none';
+    const failedHeader = document.createElement('div');
+    failedHeader.id = 'ga-failed-header';
+    failedHeader.className = 'failed-header';
+    const failedList = document.createElement('ul');
+    failedList.id = 'ga-failed-list';
+    const failedButtons = document.createElement('div');
+    failedButtons.style.display = 'flex';
+    failedButtons.style.gap = '10px';
+    const requeueBtn = document.createElement('button');
+    requeueBtn.id = 'ga-requeue-failed';
+    requeueBtn.textContent = 'Re-queue';
+    const clearFailedBtn = document.createElement('button');
+    clearFailedBtn.id = 'ga-clear-failed';
+    clearFailedBtn.textContent = 'Clear';
+    failedButtons.appendChild(requeueBtn);
+    failedButtons.appendChild(clearFailedBtn);
+    failedDiv.appendChild(failedHeader);
+    failedDiv.appendChild(failedList);
+    failedDiv.appendChild(failedButtons);
+    panel.appendChild(failedDiv);
+
     // Toggle button
     const toggleBtn = document.createElement('button');
     toggleBtn.className = 'toggle-panel';
@@ -1174,18 +5232,102 @@
     // Event listeners
     setupBtn.onclick = async () => {
       try {
-        updateStatus('Setting up Gemini...');
-        await setupGemini();
+        const profile = getSelectedProfile();
+        updateStatus(`Setting up Gemini (${profile.name})...`);
+        await setupGemini(profile);
         updateStatus('Setup complete!');
       } catch (error) {
         updateStatus('Setup failed: ' + error.message);
       }
     };
 
+    profileSelect.onchange = () => localStorage.setItem(SELECTED_PROFILE_KEY, profileSelect.value);
+    editProfileBtn.onclick = () => openProfileEditor(getSelectedProfile());
+
     startBtn.onclick = startAutomation;
     pauseBtn.onclick = pauseAutomation;
     stopBtn.onclick = stopAutomation;
 
+    takeoverCheckbox.onchange = () => {
+      if (takeoverCheckbox.checked) requestTakeover();
+      else cancelTakeover();
+    };
+
+    resumeBtn.onclick = () => {
+      const saved = loadSavedQueue();
+      resumeDiv.style.display = 'none';
+      if (saved) resumeAutomation(saved);
+    };
+
+    requeueBtn.onclick = requeueFailed;
+
+    importBtn.onclick = () => importInput.click();
+
+    importInput.onchange = async () => {
+      const file = importInput.files[0];
+      importInput.value = '';
+      if (!file) return;
+      try {
+        setImportedRows(parseBatchFile(await file.text(), file.name), file.name);
+        updateStatus(`Imported ${state.importedRows.length} rows from ${file.name}`);
+      } catch (error) {
+        updateStatus('Import failed: ' + error.message);
+      }
+    };
+
+    clearImportBtn.onclick = () => setImportedRows(null);
+
+    addReferenceBtn.onclick = () => referenceInput.click();
+
+    referenceInput.onchange = async () => {
+      const files = [...referenceInput.files];
+      referenceInput.value = '';
+      if (files.length === 0) return;
+      try {
+        await Promise.all(files.map(saveReference));
+        renderReferenceList();
+        updateStatus(`Added ${files.length} reference image${files.length !== 1 ? 's' : ''}`);
+      } catch (error) {
+        updateStatus('Adding reference images failed: ' + error.message);
+      }
+    };
+    exportCsvBtn.onclick = () => exportQueue('csv');
+    exportJsonBtn.onclick = () => exportQueue('json');
+    exportZipBtn.onclick = exportRunZip;
+    historyBtn.onclick = openHistory;
+    editScheduleBtn.onclick = openScheduleEditor;
+    diagnoseBtn.onclick = openDiagnostics;
+
+    clearFailedBtn.onclick = () => {
+      state.failed = [];
+      renderFailedList();
+    };
+
+    discardBtn.onclick = () => {
+      clearSavedQueue();
+      resumeDiv.style.display = 'none';
+      updateStatus('Previous run discarded');
+    };
+
+    inpaintCheckbox.onchange = (e) => {
+      state.inpaintWatermark = e.target.checked;
+      localStorage.setItem('gemini-automator-inpaint', state.inpaintWatermark.toString());
+    };
+
+    autoSaveCheckbox.onchange = (e) => {
+      state.autoSave = e.target.checked;
+      localStorage.setItem('gemini-automator-auto-save', state.autoSave.toString());
+    };
+
+    keepImagesCheckbox.onchange = (e) => {
+      state.keepImages = e.target.checked;
+      localStorage.setItem('gemini-automator-keep-images', state.keepImages.toString());
+    };
+
+    patternInput.onchange = () => {
+      localStorage.setItem('gemini-automator-filename-pattern', patternInput.value.trim());
+    };
+
     watermarkCheckbox.onchange = (e) => {
       const newValue = e.target.checked;
       state.removeWatermark = newValue;
@@ -1194,6 +5336,8 @@
       setTimeout(() => location.reload(), 500);
     };
 
+    renderProfileOptions(localStorage.getItem(SELECTED_PROFILE_KEY));
+
     // Load saved panel position and size
     loadPanelState(panel);
 
@@ -1365,38 +5509,198 @@
 
   function updateStatus(message) {
     document.getElementById('ga-status').textContent = message;
+    broadcastRunState();
   }
 
   function updateProgress() {
     const progress = document.getElementById('ga-progress');
     if (state.isRunning) {
-      progress.textContent = `Progress: ${state.currentIndex}/${state.prompts.length}`;
+      const job = state.queue[state.currentIndex];
+      const promptCount = state.queue[state.queue.length - 1]?.promptIndex;
+      progress.textContent = job?.promptIndex && job.variations > 1
+        ? `Prompt ${job.promptIndex}/${promptCount} · Variation ${job.variation}/${job.variations}`
+        : `Progress: ${state.currentIndex}/${state.queue.length}`;
     } else {
       progress.textContent = 'Ready';
     }
+    broadcastRunState();
+  }
+
+  /**
+   * Rows for the next run: the imported batch if any, else the textarea lines
+   */
+  function collectRows() {
+    if (state.importedRows) return state.importedRows;
+    return document.getElementById('ga-prompts').value
+      .split('\n')
+      .filter(line => line.trim())
+      .map(parsePromptLine);
+  }
+
+  /**
+   * Split optional "x4 | " / "ref=name | " / "x4, ref=a.png; b.png | " options off a prompt line
+   */
+  function parsePromptLine(line) {
+    const match = line.match(/^\s*((?:x\d+|ref\s*=[^|,]+)(?:\s*,\s*(?:x\d+|ref\s*=[^|,]+))*)\s*\|\s*(.*)$/i);
+    if (!match) return { prompt: line };
+    const row = { prompt: match[2] };
+    match[1].split(',').map(option => option.trim()).forEach(option => {
+      const repeat = option.match(/^x(\d+)$/i);
+      if (repeat) row.repeat = Math.max(1, parseInt(repeat[1]));
+      else row.reference = parseReferenceNames(option.replace(/^ref\s*=/i, '')).join('; ');
+    });
+    return row;
+  }
+
+  const getRunsPerPrompt = () => Math.max(1, parseInt(document.getElementById('ga-runs-per-prompt').value) || 1);
+
+  /**
+   * Expand, sample and repeat rows into queued jobs
+   */
+  function buildQueue() {
+    const rows = expandRows(collectRows(), document.getElementById('ga-variables').value);
+    const sampled = samplePrompts(rows, parseInt(document.getElementById('ga-sample').value) || 0);
+    const runsPerPrompt = getRunsPerPrompt();
+    return sampled.flatMap(({ prompt, repeat = runsPerPrompt, ...settings }, i) =>
+      Array.from({ length: repeat }, (_, j) =>
+        createJob(prompt, { ...settings, promptIndex: i + 1, variation: j + 1, variations: repeat })
+      )
+    );
+  }
+
+  function updatePromptsCounter() {
+    const counter = document.getElementById('ga-prompts-counter');
+    try {
+      const rows = expandRows(collectRows(), document.getElementById('ga-variables').value);
+      const count = rows.length;
+      const runs = rows.reduce((total, row) => total + (row.repeat || getRunsPerPrompt()), 0);
+      const sample = parseInt(document.getElementById('ga-sample').value) || 0;
+      if (sample > 0 && sample < count) {
+        counter.textContent = `${sample} of ${count} prompts`;
+      } else {
+        counter.textContent = `${count} prompt${count !== 1 ? 's' : ''}` + (runs !== count ? ` · ${runs} runs` : '');
+      }
+      counter.title = '';
+    } catch (error) {
+      counter.textContent = 'Invalid template';
+      counter.title = error.message;
+    }
+  }
+
+  /**
+   * Use imported rows instead of the textarea (null to go back)
+   */
+  function setImportedRows(rows, fileName = '') {
+    state.importedRows = rows;
+    const promptsTextarea = document.getElementById('ga-prompts');
+    promptsTextarea.disabled = !!rows;
+    document.getElementById('ga-import-info').style.display = rows ? 'flex' : 'none';
+    if (rows) {
+      document.getElementById('ga-import-info-text').textContent =
+        `Using ${rows.length} rows from ${fileName}`;
+    }
+    updatePromptsCounter();
+  }
+
+  /**
+   * Download the current queue (or the rows that would be queued) as CSV or JSON
+   */
+  function exportQueue(format) {
+    let rows;
+    try {
+      rows = state.queue.length > 0 ? queueToRows(state.queue) : collectRows();
+    } catch (error) {
+      updateStatus('Export failed: ' + error.message);
+      return;
+    }
+    if (rows.length === 0) {
+      updateStatus('Nothing to export');
+      return;
+    }
+
+    const fileName = `gemini-queue-${Date.now()}.${format}`;
+    if (format === 'csv') {
+      const columns = [...ROW_FIELDS, 'status'].filter(column => rows.some(row => row[column] !== undefined));
+      downloadText(toCSV(rows, columns), fileName, 'text/csv');
+    } else {
+      downloadText(JSON.stringify(rows, null, 2), fileName, 'application/json');
+    }
+    updateStatus(`Exported ${rows.length} rows to ${fileName}`);
   }
 
   /**
    * Start automation
    */
   async function startAutomation() {
-    const promptsText = document.getElementById('ga-prompts').value;
-    state.prompts = promptsText.split('\n').filter(p => p.trim());
+    let queue;
+    try {
+      queue = buildQueue();
+    } catch (error) {
+      updateStatus('Template error: ' + error.message);
+      return;
+    }
 
-    if (state.prompts.length === 0) {
+    if (queue.length === 0) {
       updateStatus('Please enter some prompts');
       return;
     }
 
+    const missing = await findMissingReferences(queue).catch(() => []);
+    if (missing.length > 0) {
+      updateStatus(`Missing reference images: ${missing.join(', ')}`);
+      return;
+    }
+
+    if (!(await acquireRunLock())) {
+      updateStatus('A batch is already running in another tab');
+      return;
+    }
+
+    document.getElementById('ga-resume').style.display = 'none';
+    state.profile = getSelectedProfile();
+    state.batch = createBatchName();
+    state.runImageCount = 0;
+    state.queue = queue;
+    state.currentIndex = 0;
+    saveQueue();
+
+    updateStatus('Starting automation...');
+    beginRun();
+  }
+
+  /**
+   * Resume a saved queue at its first unfinished prompt
+   */
+  async function resumeAutomation(saved) {
+    if (!(await acquireRunLock())) {
+      updateStatus('A batch is already running in another tab');
+      return;
+    }
+    state.batch = saved.batch || createBatchName();
+    state.profile = saved.profile || getSelectedProfile();
+    // Images kept before the reload are still in IndexedDB under the same batch
+    state.runImageCount = (await dbGetAllKeys('images', 'runId', state.batch).catch(() => [])).length;
+    state.queue = saved.queue;
+    state.currentIndex = firstUnfinishedIndex(saved.queue);
+    saveQueue();
+
+    updateStatus(`Resuming at prompt ${state.currentIndex + 1}...`);
+    beginRun();
+  }
+
+  function beginRun() {
     state.isRunning = true;
+    state.runToken++;
     state.isPaused = false;
-    state.currentIndex = 0;
+    state.promptsInChat = 0;
 
     document.getElementById('ga-start').disabled = true;
     document.getElementById('ga-pause').disabled = false;
     document.getElementById('ga-stop').disabled = false;
+    document.getElementById('ga-export-zip').disabled = state.runImageCount === 0;
 
-    updateStatus('Starting automation...');
+    recordRun();
+    pruneRunImages().catch(error => console.warn('[Gemini Automator] Failed to prune history:', error));
     runAutomation();
   }
 
@@ -1404,49 +5708,299 @@
    * Run automation loop
    */
   async function runAutomation() {
-    while (state.isRunning && state.currentIndex < state.prompts.length) {
+    // A prompt in flight when the run is stopped (or restarted) must not write
+    // the old queue back or count towards history, so every write after an
+    // await checks this first
+    const token = state.runToken;
+    const isLive = () => state.isRunning && state.runToken === token;
+
+    await waitForSchedule();
+    if (!isLive()) return;
+    await applyBatchProfile();
+
+    while (isLive() && state.currentIndex < state.queue.length) {
       if (state.isPaused) {
-        await sleep(1000);
+        if (state.cooldownUntil && Date.now() >= state.cooldownUntil) {
+          state.cooldownUntil = null;
+          state.isPaused = false;
+          document.getElementById('ga-pause').textContent = 'Pause';
+          updateStatus('Cool-down over, resuming...');
+        } else {
+          await sleep(1000);
+          continue;
+        }
+      }
+
+      const job = state.queue[state.currentIndex];
+      if (!isUnfinished(job)) {
+        state.currentIndex++;
+        continue;
+      }
+
+      await waitForSchedule();
+      if (!isLive()) break;
+      if (state.isPaused) continue;
+
+      const budgetHold = getBudgetHold();
+      if (budgetHold) {
+        startBudgetPause(budgetHold);
         continue;
       }
 
-      const prompt = state.prompts[state.currentIndex];
+      const { prompt } = job;
+      job.status = 'running';
+      saveQueue();
       updateProgress();
-      updateStatus(`Processing: ${prompt.substring(0, 50)}...`);
+      const variationText = job.variations > 1 ? ` (variation ${job.variation}/${job.variations})` : '';
+      updateStatus(`Processing${variationText}: ${prompt.substring(0, 50)}...`);
 
       try {
-        await fillPrompt(prompt);
+        await isolateConversation();
+        await applyJobSetup(job);
+        const previousTurn = getLatestResponseTurn();
+        await fillPrompt(prompt, parseReferenceNames(job.reference));
         await clickGenerate();
-        await waitForCompletion();
-
-        if (state.removeWatermark && engine) {
-          await sleep(2000);
-          processAllImages();
+        state.promptsInChat++;
+        const turn = await waitForNewTurn(previousTurn);
+        await waitForCompletion(turn);
+        job.chatUrl = location.href;
+        // Profiles without a tool (e.g. plain Pro chat) answer in text
+        assertImageProduced(turn, !!(job.tool || state.profile?.tool));
+        const turnImages = bindResponseImages(turn, job, state.currentIndex);
+        tagResponseImages(job, turnImages);
+
+        // Only this turn's images: earlier turns are never picked up again.
+        // Blobs are fetched only when something uses them, and not held after
+        if (state.autoSave || state.keepImages) {
+          const images = await collectResponseImages(job, state.currentIndex, turnImages);
+          if (!isLive()) return;
+          if (state.autoSave) {
+            updateStatus('Saving images...');
+            await saveImages(images);
+          }
+          if (state.keepImages && images.length > 0 && isLive()) {
+            state.runImageCount += await recordRunImages(images);
+            document.getElementById('ga-export-zip').disabled = state.runImageCount === 0;
+          }
         }
 
+        if (!isLive()) return;
+        job.status = 'done';
         state.currentIndex++;
+        saveQueue();
+        recordRun();
+        recordGeneration();
+        countScheduledGeneration();
         updateProgress();
 
-        if (state.currentIndex < state.prompts.length) {
+        if (state.currentIndex < state.queue.length) {
           const minDelay = parseInt(document.getElementById('ga-min-delay').value) * 1000;
           const maxDelay = parseInt(document.getElementById('ga-max-delay').value) * 1000;
-          const delay = Math.random() * (maxDelay - minDelay) + minDelay;
+          const delay = job.delay !== undefined
+            ? job.delay * 1000
+            : Math.random() * (maxDelay - minDelay) + minDelay;
           updateStatus(`Waiting ${Math.round(delay/1000)}s before next prompt...`);
           await sleep(delay);
         }
       } catch (error) {
-        updateStatus('Error: ' + error.message);
-        await sleep(3000);
+        if (!isLive()) return;
+        const type = classifyError(error);
+
+        // Limits are not the prompt's fault: keep it queued and cool down
+        if (type === 'limited') {
+          job.status = 'pending';
+          job.errorType = type;
+          job.error = error.message;
+          saveQueue();
+          startCooldown(error.message);
+          continue;
+        }
+
+        const { maxAttempts, backoff } = getRetryPolicy();
+        job.attempts = (job.attempts || 0) + 1;
+        job.errorType = type;
+        job.error = error.message;
+        console.warn(`[Gemini Automator] ${ERROR_TYPES[type].label} (attempt ${job.attempts}/${maxAttempts}):`, error);
+
+        if (ERROR_TYPES[type].retryable && job.attempts < maxAttempts) {
+          job.status = 'pending';
+          saveQueue();
+          const wait = backoff * 2 ** (job.attempts - 1);
+          updateStatus(`${ERROR_TYPES[type].label}: ${error.message}. Retrying in ${Math.round(wait / 1000)}s...`);
+          await sleep(wait);
+        } else {
+          job.status = 'failed';
+          state.currentIndex++;
+          saveQueue();
+          recordRun();
+          updateStatus(`Failed after ${job.attempts} attempt(s): ${error.message}`);
+          await sleep(3000);
+        }
       }
     }
 
-    if (state.isRunning) {
+    if (isLive()) {
       updateStatus('Automation complete!');
       stopAutomation();
     }
   }
 
+  const createBatchName = () => {
+    const now = new Date();
+    const pad = (value) => String(value).padStart(2, '0');
+    return `gemini-${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-` +
+      `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  };
+
+  /**
+   * Start a fresh chat (and set it up again) when the current one has been used enough
+   */
+  async function isolateConversation() {
+    const every = parseInt(document.getElementById('ga-new-chat-every').value) || 0;
+    if (every <= 0) return;
+    // A run starting in a chat that already has turns gets a fresh one too
+    const hasTurns = !!document.querySelector(SELECTORS.responseTurn);
+    if (!hasTurns || (state.promptsInChat > 0 && state.promptsInChat < every)) return;
+
+    updateStatus('Starting a new chat...');
+    await startNewChat();
+    state.promptsInChat = 0;
+    state.appliedSetup = null;
+    updateStatus('Setting up new chat...');
+    await setupGemini(state.profile || DEFAULT_PROFILE);
+  }
+
+  /**
+   * Switch tool/model when a row overrides them
+   */
+  async function applyJobSetup(job) {
+    // null means the batch profile is in effect
+    const key = job.tool || job.model ? `${job.tool || ''}|${job.model || ''}` : null;
+    if (state.appliedSetup === key) return;
+
+    const base = state.profile || DEFAULT_PROFILE;
+    if (key === null) {
+      updateStatus(`Switching back to ${base.name}...`);
+      await setupGemini(base);
+    } else {
+      updateStatus(`Switching to ${[job.tool, job.model].filter(Boolean).join(' + ')}...`);
+      await setupGemini({
+        name: `${base.name} (row override)`,
+        tool: job.tool || base.tool,
+        toolKey: job.tool ? undefined : base.toolKey,
+        model: job.model || base.model,
+        modelKey: job.model ? undefined : base.modelKey
+      });
+    }
+    state.appliedSetup = key;
+  }
+
+  /**
+   * Apply the batch's profile before the first prompt
+   */
+  async function applyBatchProfile() {
+    const profile = state.profile || DEFAULT_PROFILE;
+    try {
+      updateStatus(`Applying profile "${profile.name}"...`);
+      await setupGemini(profile);
+    } catch (error) {
+      // Gemini may already be set up by hand, so keep going
+      console.warn('[Gemini Automator] Profile setup failed:', error);
+      updateStatus(`Setup failed (${error.message}), continuing...`);
+      await sleep(2000);
+    }
+    state.appliedSetup = null;
+  }
+
+  /**
+   * Name a prompt's images after the row's filename for downloads
+   */
+  function tagResponseImages(job, images) {
+    if (!job.filename) return;
+    const base = job.filename.replace(/\.png$/i, '') + (job.variations > 1 ? `-${job.variation}` : '');
+    images.forEach((img, n) => {
+      img.dataset.gaFilename = `${base}${images.length > 1 ? `-${n + 1}` : ''}.png`;
+    });
+  }
+
+  /**
+   * Read retry policy from the panel
+   */
+  function getRetryPolicy() {
+    const maxAttempts = Math.max(1, parseInt(document.getElementById('ga-max-attempts').value) || 1);
+    const backoff = Math.max(1, parseInt(document.getElementById('ga-retry-backoff').value) || 1) * 1000;
+    return { maxAttempts, backoff };
+  }
+
+  /**
+   * Show failed prompts so they can be reviewed and re-queued
+   */
+  function renderFailedList() {
+    const failedDiv = document.getElementById('ga-failed');
+    const list = document.getElementById('ga-failed-list');
+    while (list.firstChild) list.removeChild(list.firstChild);
+
+    if (state.failed.length === 0) {
+      failedDiv.style.display = 'none';
+      return;
+    }
+
+    document.getElementById('ga-failed-header').textContent =
+      `Failed (${state.failed.length})`;
+    state.failed.forEach(job => {
+      const item = document.createElement('li');
+      const type = document.createElement('span');
+      type.className = 'failed-type';
+      type.textContent = ERROR_TYPES[job.errorType]?.label || ERROR_TYPES.unknown.label;
+      item.appendChild(type);
+      item.appendChild(document.createTextNode(job.prompt));
+      item.title = job.error || '';
+      list.appendChild(item);
+    });
+    document.getElementById('ga-requeue-failed').disabled = state.isRunning;
+    failedDiv.style.display = 'block';
+  }
+
+  /**
+   * Start a new run with the prompts that failed
+   */
+  async function requeueFailed() {
+    if (state.isRunning || state.failed.length === 0) return;
+    if (!(await acquireRunLock())) {
+      updateStatus('A batch is already running in another tab');
+      return;
+    }
+    state.profile = state.profile || getSelectedProfile();
+    state.batch = createBatchName();
+    state.runImageCount = 0;
+    state.queue = state.failed.map(job => createJob(job.prompt, jobSettings(job)));
+    state.currentIndex = 0;
+    state.failed = [];
+    renderFailedList();
+    saveQueue();
+
+    updateStatus(`Re-queued ${state.queue.length} failed prompt(s)`);
+    beginRun();
+  }
+
+  /**
+   * Pause after a usage limit, resuming automatically once the cool-down ends
+   */
+  function startCooldown(message) {
+    const minutes = Math.max(0, parseInt(document.getElementById('ga-cooldown').value) || 0);
+    state.isPaused = true;
+    state.cooldownUntil = minutes > 0 ? Date.now() + minutes * 60000 : null;
+    document.getElementById('ga-pause').textContent = 'Resume';
+
+    const until = state.cooldownUntil
+      ? `cooling down until ${new Date(state.cooldownUntil).toLocaleTimeString()}`
+      : 'paused until you resume';
+    updateStatus(`Usage limit reached, ${until}. Gemini said: ${message}`);
+    console.warn('[Gemini Automator] Usage limit detected:', message);
+  }
+
   function pauseAutomation() {
+    state.cooldownUntil = null;
     state.isPaused = !state.isPaused;
     document.getElementById('ga-pause').textContent = state.isPaused ? 'Resume' : 'Pause';
     updateStatus(state.isPaused ? 'Paused' : 'Running...');
@@ -1454,12 +6008,258 @@
 
   function stopAutomation() {
     state.isRunning = false;
+    state.runToken++;
     state.isPaused = false;
+    state.cooldownUntil = null;
+    state.failed = state.queue.filter(job => job.status === 'failed');
+    if (state.queue.length > 0) recordRun({ ended: true });
+    clearSavedQueue();
+    renderFailedList();
     document.getElementById('ga-start').disabled = false;
     document.getElementById('ga-pause').disabled = true;
     document.getElementById('ga-stop').disabled = true;
     updateStatus('Stopped');
     updateProgress();
+    postToTabs({ type: 'ended' });
+    releaseRunLock();
+  }
+
+  // ============================================
+  // COMMANDS & KEYBOARD SHORTCUTS
+  // ============================================
+
+  const SHORTCUTS_KEY = 'gemini-automator-shortcuts';
+
+  /**
+   * Click a panel control unless it is disabled (so commands follow the panel's rules)
+   */
+  const clickPanelControl = (selector) => {
+    const control = document.querySelector(selector);
+    if (control && !control.disabled) control.click();
+  };
+
+  /**
+   * Everything the palette can run, with default shortcuts
+   */
+  const COMMANDS = [
+    { id: 'palette', label: 'Open command palette', shortcut: 'Ctrl+Shift+K', run: () => openCommandPalette() },
+    { id: 'setup', label: 'Setup Gemini', shortcut: 'Alt+Shift+G', run: () => clickPanelControl('#ga-setup') },
+    { id: 'start', label: 'Start', shortcut: 'Alt+Shift+S', run: () => clickPanelControl('#ga-start') },
+    { id: 'pause', label: 'Pause / resume', shortcut: 'Alt+Shift+P', run: () => clickPanelControl('#ga-pause') },
+    { id: 'stop', label: 'Stop', shortcut: 'Alt+Shift+X', run: () => clickPanelControl('#ga-stop') },
+    { id: 'togglePanel', label: 'Show / hide panel', shortcut: 'Alt+Shift+A', run: () => clickPanelControl('.toggle-panel') },
+    { id: 'toggleWatermark', label: 'Toggle watermark removal (reloads)', shortcut: '', run: () => clickPanelControl('#ga-remove-watermark') },
+    { id: 'history', label: 'Open history', shortcut: 'Alt+Shift+H', run: () => openHistory() },
+    { id: 'exportZip', label: 'Export run as ZIP', shortcut: '', run: () => clickPanelControl('#ga-export-zip') },
+    { id: 'exportCsv', label: 'Export queue as CSV', shortcut: '', run: () => exportQueue('csv') },
+    { id: 'exportJson', label: 'Export queue as JSON', shortcut: '', run: () => exportQueue('json') },
+    { id: 'import', label: 'Import batch file', shortcut: '', run: () => clickPanelControl('#ga-import') },
+    { id: 'profile', label: 'Edit setup profile', shortcut: '', run: () => openProfileEditor(getSelectedProfile()) },
+    { id: 'schedule', label: 'Edit schedule', shortcut: '', run: () => openScheduleEditor() },
+    { id: 'diagnose', label: 'Run diagnostics', shortcut: '', run: () => openDiagnostics() },
+    { id: 'selectors', label: 'Edit selectors', shortcut: '', run: () => openSelectorEditor() },
+    { id: 'shortcuts', label: 'Edit keyboard shortcuts', shortcut: '', run: () => openShortcutEditor() }
+  ];
+
+  /**
+   * Gemini's own shortcuts, never taken over
+   */
+  const RESERVED_SHORTCUTS = [
+    'Ctrl+Shift+O', 'Ctrl+Shift+S', 'Ctrl+Shift+C', 'Ctrl+Shift+;', 'Ctrl+Shift+Backspace',
+    'Ctrl+/', 'Shift+Escape', 'Enter', 'Shift+Enter'
+  ];
+
+  function loadShortcuts() {
+    let overrides = {};
+    try {
+      overrides = JSON.parse(localStorage.getItem(SHORTCUTS_KEY)) || {};
+    } catch (error) {
+      // Fall back to the defaults
+    }
+    return Object.fromEntries(COMMANDS.map(command =>
+      [command.id, command.id in overrides ? overrides[command.id] : command.shortcut]
+    ));
+  }
+
+  /**
+   * Normalized "Ctrl+Alt+Shift+Meta+Key" for a key event (physical key for
+   * letters and digits, since Alt changes e.key on macOS)
+   */
+  function shortcutFromEvent(event) {
+    const code = event.code || '';
+    let key;
+    if (/^Key[A-Z]$/.test(code)) key = code.slice(3);
+    else if (/^Digit\d$/.test(code)) key = code.slice(5);
+    else key = event.key.length === 1 ? event.key.toUpperCase() : event.key;
+    if (['Control', 'Alt', 'Shift', 'Meta'].includes(key)) return null;
+    return [
+      event.ctrlKey && 'Ctrl',
+      event.altKey && 'Alt',
+      event.shiftKey && 'Shift',
+      event.metaKey && 'Meta',
+      key
+    ].filter(Boolean).join('+');
+  }
+
+  /**
+   * Reason a shortcut can't be used (null when fine)
+   */
+  function validateShortcut(shortcut) {
+    if (!shortcut) return null;
+    if (!/(^|\+)(Ctrl|Alt|Meta)\+/.test(shortcut)) return 'needs Ctrl, Alt or Meta so typing is never intercepted';
+    if (RESERVED_SHORTCUTS.includes(shortcut)) return 'used by Gemini';
+    return null;
+  }
+
+  /**
+   * Run the command bound to a key combination; plain typing is never intercepted
+   */
+  function handleShortcut(event) {
+    if (event.isComposing || event.repeat) return;
+    // Combinations typed into the shortcut editor are being recorded, not run
+    if (event.target.classList?.contains('ga-shortcut-input')) return;
+    const shortcut = shortcutFromEvent(event);
+    if (!shortcut || validateShortcut(shortcut)) return;
+    const shortcuts = loadShortcuts();
+    const command = COMMANDS.find(c => shortcuts[c.id] === shortcut);
+    if (!command) return;
+    // Keep the key from reaching Gemini's editor and its own handlers
+    event.preventDefault();
+    event.stopPropagation();
+    command.run();
+  }
+
+  /**
+   * Searchable list of all commands
+   */
+  function openCommandPalette() {
+    if (document.getElementById('ga-palette-input')) return;
+    const body = openModal('Commands');
+    const shortcuts = loadShortcuts();
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = 'ga-palette-input';
+    input.className = 'ga-palette-input';
+    input.placeholder = 'Type a command...';
+    const list = document.createElement('ul');
+    list.className = 'ga-palette-list';
+    body.appendChild(input);
+    body.appendChild(list);
+
+    let matches = [];
+    let selected = 0;
+    const runCommand = (command) => {
+      closeModal();
+      command.run();
+    };
+    const render = () => {
+      const query = input.value.trim().toLowerCase();
+      matches = COMMANDS.filter(c => c.id !== 'palette' && c.label.toLowerCase().includes(query));
+      selected = Math.min(selected, Math.max(0, matches.length - 1));
+      while (list.firstChild) list.removeChild(list.firstChild);
+      matches.forEach((command, i) => {
+        const item = document.createElement('li');
+        item.className = i === selected ? 'selected' : '';
+        const label = document.createElement('span');
+        label.textContent = command.label;
+        const shortcut = document.createElement('kbd');
+        shortcut.textContent = shortcuts[command.id] || '';
+        item.appendChild(label);
+        item.appendChild(shortcut);
+        item.onclick = () => runCommand(command);
+        list.appendChild(item);
+      });
+    };
+
+    input.addEventListener('keydown', (event) => {
+      event.stopPropagation();
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        selected = (selected + step + matches.length) % Math.max(1, matches.length);
+        render();
+      } else if (event.key === 'Enter') {
+        event.preventDefault();
+        if (matches[selected]) runCommand(matches[selected]);
+      } else if (event.key === 'Escape') {
+        closeModal();
+      }
+    });
+    input.addEventListener('input', () => {
+      selected = 0;
+      render();
+    });
+    render();
+    input.focus();
+  }
+
+  /**
+   * Record new key combinations for commands
+   */
+  function openShortcutEditor() {
+    const body = openModal('Keyboard Shortcuts');
+    const shortcuts = loadShortcuts();
+    const hint = document.createElement('div');
+    hint.className = 'ga-history-meta';
+    hint.textContent = 'Click a field and press a key combination with Ctrl, Alt or Meta. Backspace clears it.';
+    body.appendChild(hint);
+
+    const inputs = {};
+    COMMANDS.forEach(command => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'ga-shortcut-input';
+      input.readOnly = true;
+      input.value = shortcuts[command.id];
+      input.placeholder = 'None';
+      input.addEventListener('keydown', (event) => {
+        if (event.key === 'Tab') return;
+        event.preventDefault();
+        event.stopPropagation();
+        if (event.key === 'Backspace' || event.key === 'Delete') {
+          input.value = '';
+          return;
+        }
+        const shortcut = shortcutFromEvent(event);
+        if (shortcut) input.value = shortcut;
+      });
+      inputs[command.id] = input;
+      body.appendChild(createField(command.label, input));
+    });
+
+    const result = document.createElement('div');
+    result.className = 'ga-history-meta';
+    const actions = document.createElement('div');
+    actions.className = 'ga-modal-actions';
+    actions.appendChild(createModalButton('Save', () => {
+      const values = Object.fromEntries(Object.entries(inputs).map(([id, input]) => [id, input.value]));
+      const label = (id) => COMMANDS.find(c => c.id === id).label;
+      const errors = Object.entries(values)
+        .map(([id, shortcut]) => validateShortcut(shortcut) && `${label(id)}: ${shortcut} ${validateShortcut(shortcut)}`)
+        .filter(Boolean);
+      const seen = {};
+      Object.entries(values).forEach(([id, shortcut]) => {
+        if (!shortcut) return;
+        if (seen[shortcut]) errors.push(`${shortcut} is used by both "${label(seen[shortcut])}" and "${label(id)}"`);
+        seen[shortcut] = id;
+      });
+      if (errors.length > 0) {
+        result.textContent = errors.join('\n');
+        result.style.whiteSpace = 'pre-line';
+        result.style.color = '#FF453A';
+        return;
+      }
+      localStorage.setItem(SHORTCUTS_KEY, JSON.stringify(values));
+      closeModal();
+      updateStatus('Keyboard shortcuts saved');
+    }));
+    actions.appendChild(createModalButton('Reset to defaults', () => {
+      COMMANDS.forEach(command => {
+        inputs[command.id].value = command.shortcut;
+      });
+    }));
+    body.appendChild(result);
+    body.appendChild(actions);
   }
 
   // ============================================
@@ -1486,6 +6286,10 @@
 
     await waitForBody();
     console.log('[Gemini Automator] DOM ready');
+    console.log(`[Gemini Automator] UI language: ${document.documentElement.lang || 'unknown'} (using "${detectLocale()}" texts)`);
+
+    // Capture phase, so our combinations are handled before Gemini's editor sees them
+    window.addEventListener('keydown', handleShortcut, true);
 
     // Create UI panel first
     try {
@@ -1494,6 +6298,59 @@
     } catch (error) {
       console.error('[Gemini Automator] Failed to create UI:', error);
     }
+    renderReferenceList();
+
+    // Refresh shared selector overrides in the background; the saved ones apply until it lands
+    if (selectorConfig.fetchOnLoad && selectorConfig.url) {
+      fetchSelectorOverrides(selectorConfig.url)
+        .then(selectors => {
+          saveSelectorConfig({ ...selectorConfig, selectors });
+          console.log(`[Gemini Automator] Selectors updated from ${selectorConfig.url}`);
+        })
+        .catch(error => console.warn('[Gemini Automator] Selector fetch failed, keeping saved selectors:', error));
+    }
+
+    // Offer to resume a run interrupted by a reload or crash, unless
+    // another tab is running it right now
+    const runElsewhere = await isRunActiveElsewhere().catch(() => false);
+    const savedQueue = runElsewhere ? null : loadSavedQueue();
+    if (runElsewhere) console.log('[Gemini Automator] A batch is running in another tab');
+    postToTabs({ type: 'hello' });
+    window.addEventListener('pagehide', () => {
+      if (state.isRunning) postToTabs({ type: 'ended' });
+    });
+    if (savedQueue) {
+      const done = savedQueue.queue.filter(job => !isUnfinished(job)).length;
+      document.getElementById('ga-resume-text').textContent =
+        `Previous run interrupted: ${done}/${savedQueue.queue.length} prompts done ` +
+        `(saved ${new Date(savedQueue.savedAt).toLocaleString()}). Resume previous run?`;
+      document.getElementById('ga-resume').style.display = 'block';
+      console.log('[Gemini Automator] Found unfinished run, offering resume');
+    }
+
+    // A scheduled run picks itself back up after a reload
+    updateScheduleStatus();
+    updateUsageStatus();
+    setInterval(() => {
+      updateScheduleStatus();
+      updateUsageStatus();
+    }, 30000);
+    // Generations recorded by other tabs
+    window.addEventListener('storage', (event) => {
+      if (event.key === GENERATIONS_KEY) updateUsageStatus();
+    });
+    if (savedQueue && loadSchedule().enabled) {
+      document.getElementById('ga-resume').style.display = 'none';
+      // Tabs opened together all find the saved queue; only the one that
+      // claims the run lock first resumes it
+      if (await acquireRunLock()) {
+        console.log('[Gemini Automator] Schedule enabled, resuming unfinished run');
+        resumeAutomation(savedQueue);
+      } else {
+        console.log('[Gemini Automator] Schedule enabled, but another tab owns the run');
+        updateStatus('Scheduled run is active in another tab');
+      }
+    }
 
     // Initialize watermark engine
     try {
@@ -1502,6 +6359,11 @@
         console.log('[Gemini Automator] Watermark removal ready');
         new MutationObserver(debounce(processAllImages, 100))
           .observe(document.body, { childList: true, subtree: true });
+        // Images seen before the workers are up are cleaned on the main thread
+        ImageWorkerPool.create(engine).then(pool => {
+          workerPool = pool;
+          if (pool) console.log(`[Gemini Automator] Image workers ready (${pool.size})`);
+        });
       } else {
         console.log('[Gemini Automator] Watermark removal disabled (BG_48/96_BASE64 not set)');
       }